@@ -0,0 +1,328 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { getAllVideos, getVideoCaptions } = require('./caption_language_cleaner.js');
+const { getCaption, downloadCaptionContent, hashCaptionContent, replaceCaption, setDefaultCaption } = require('./caption_replacer.js');
+
+// Configuration
+const config = {
+    snapshotFolder: process.env.CAPTION_SNAPSHOT_FOLDER || './caption_snapshots',
+    delayBetweenRequests: parseInt(process.env.CAPTION_BACKUP_DELAY) || 300,
+    manifestFilename: 'manifest.json'
+};
+
+/**
+ * Builds the local filename of a caption inside a snapshot
+ */
+function getSnapshotCaptionFilename(videoId, language) {
+    return `[${videoId}]_${language}.vtt`;
+}
+
+/**
+ * Downloads every caption of every video into a new timestamped snapshot folder
+ */
+async function backupAllCaptions() {
+    const createdAt = new Date().toISOString();
+    const snapshotName = `snapshot_${createdAt.replace(/[:.]/g, '-')}`;
+    const snapshotDir = path.join(config.snapshotFolder, snapshotName);
+    const captionsDir = path.join(snapshotDir, 'captions');
+
+    console.log('💾 Caption Backup - Starting Snapshot...');
+    console.log(`📁 Snapshot folder: ${snapshotDir}`);
+
+    fs.mkdirSync(captionsDir, { recursive: true });
+
+    const videos = await getAllVideos();
+
+    const manifest = {
+        createdAt,
+        snapshotName,
+        videoCount: videos.length,
+        captionCount: 0,
+        failureCount: 0,
+        videos: [],
+        failures: []
+    };
+
+    for (let i = 0; i < videos.length; i++) {
+        const { videoId, title } = videos[i];
+        console.log(`\n📈 Progress: ${i + 1}/${videos.length} - ${title} (${videoId})`);
+
+        const captionsResult = await getVideoCaptions(videoId);
+        if (!captionsResult.success) {
+            console.log(`❌ Failed to list captions: ${captionsResult.error}`);
+            manifest.failures.push({ videoId, language: null, error: captionsResult.error });
+            manifest.failureCount++;
+            continue;
+        }
+
+        const videoEntry = { videoId, title, captions: [] };
+
+        for (const caption of captionsResult.captions) {
+            try {
+                const content = await downloadCaptionContent(caption.src);
+                const filename = getSnapshotCaptionFilename(videoId, caption.language);
+                fs.writeFileSync(path.join(captionsDir, filename), content, 'utf8');
+
+                videoEntry.captions.push({
+                    language: caption.language,
+                    default: caption.default,
+                    file: `captions/${filename}`,
+                    sha256: hashCaptionContent(content)
+                });
+                manifest.captionCount++;
+
+                console.log(`   ✅ ${caption.language}${caption.default ? ' (default)' : ''}`);
+            } catch (error) {
+                console.log(`   ❌ ${caption.language}: ${error.message}`);
+                manifest.failures.push({ videoId, language: caption.language, error: error.message });
+                manifest.failureCount++;
+            }
+        }
+
+        if (videoEntry.captions.length === 0) {
+            console.log(`   📭 No captions`);
+        }
+        manifest.videos.push(videoEntry);
+
+        // Add delay between videos to avoid rate limiting
+        if (i < videos.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, config.delayBetweenRequests));
+        }
+    }
+
+    fs.writeFileSync(path.join(snapshotDir, config.manifestFilename), JSON.stringify(manifest, null, 2));
+
+    console.log(`\n📊 Caption Backup Summary:`);
+    console.log(`🎬 Videos: ${manifest.videoCount}`);
+    console.log(`📝 Captions saved: ${manifest.captionCount}`);
+    console.log(`❌ Failures: ${manifest.failureCount}`);
+    console.log(`💾 Snapshot: ${snapshotDir}`);
+
+    return { snapshotDir, manifest };
+}
+
+/**
+ * Loads a snapshot manifest from a snapshot folder
+ */
+function loadSnapshot(snapshotDir) {
+    const manifestPath = path.join(snapshotDir, config.manifestFilename);
+
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`Snapshot manifest not found: ${manifestPath}`);
+    }
+
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Lists the snapshots available in the snapshot folder, newest first
+ */
+function listSnapshots() {
+    if (!fs.existsSync(config.snapshotFolder)) {
+        return [];
+    }
+
+    return fs.readdirSync(config.snapshotFolder)
+        .map(name => path.join(config.snapshotFolder, name))
+        .filter(dir => fs.existsSync(path.join(dir, config.manifestFilename)))
+        .map(dir => ({ snapshotDir: dir, manifest: loadSnapshot(dir) }))
+        .sort((a, b) => b.manifest.createdAt.localeCompare(a.manifest.createdAt));
+}
+
+/**
+ * Marks a caption as default unless the remote caption already is: { success, changed, error }
+ */
+async function restoreDefaultFlag(videoId, language) {
+    try {
+        const remoteCaption = await getCaption(videoId, language);
+        if (remoteCaption && remoteCaption.default) {
+            return { success: true, changed: false };
+        }
+    } catch (error) {
+        return { success: false, changed: false, error: error.message };
+    }
+
+    const defaultResult = await setDefaultCaption(videoId, language);
+    return { ...defaultResult, changed: defaultResult.success };
+}
+
+/**
+ * Re-uploads the captions of a snapshot, optionally filtered by video IDs and/or languages
+ */
+async function restoreSnapshot(snapshotDir, filters = {}) {
+    const { videoIds = [], languages = [], dryRun = false } = filters;
+    const manifest = loadSnapshot(snapshotDir);
+
+    console.log('♻️  Caption Restore - Starting...');
+    console.log(`💾 Snapshot: ${snapshotDir} (${manifest.createdAt})`);
+    console.log(`🎬 Videos: ${videoIds.length > 0 ? videoIds.join(', ') : 'all'}`);
+    console.log(`🌐 Languages: ${languages.length > 0 ? languages.join(', ') : 'all'}`);
+    if (dryRun) {
+        console.log(`🔍 DRY RUN MODE: No captions will be uploaded`);
+    }
+
+    const entries = [];
+    for (const video of manifest.videos) {
+        if (videoIds.length > 0 && !videoIds.includes(video.videoId)) {
+            continue;
+        }
+        for (const caption of video.captions) {
+            if (languages.length > 0 && !languages.includes(caption.language)) {
+                continue;
+            }
+            entries.push({ videoId: video.videoId, title: video.title, ...caption });
+        }
+    }
+
+    console.log(`📝 Captions to restore: ${entries.length}`);
+
+    const summary = { total: entries.length, unchanged: 0, updated: 0, created: 0, failed: 0, results: [] };
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        console.log(`\n📈 Progress: ${i + 1}/${entries.length} - ${entry.videoId} (${entry.language})`);
+
+        // A truncated or edited snapshot file must not replace the live caption
+        const content = fs.readFileSync(path.join(snapshotDir, entry.file), 'utf8');
+        if (hashCaptionContent(content) !== entry.sha256) {
+            console.error(`🚫 Skipping ${entry.file}: its content does not match the checksum in the manifest`);
+            summary.failed++;
+            summary.results.push({ videoId: entry.videoId, language: entry.language, success: false, action: 'skipped', error: 'Snapshot file does not match its manifest checksum' });
+            continue;
+        }
+
+        if (dryRun) {
+            console.log(`🔍 DRY RUN: Would restore ${entry.file}${entry.default ? ' (default)' : ''}`);
+            continue;
+        }
+
+        const result = await replaceCaption(entry.videoId, entry.language, content, path.basename(entry.file));
+
+        // The default flag can differ even when the content is unchanged, so it is checked on the remote caption
+        if (result.success && entry.default) {
+            const defaultResult = await restoreDefaultFlag(entry.videoId, entry.language);
+            if (!defaultResult.success) {
+                console.log(`⚠️  Restored caption but could not mark it as default: ${defaultResult.error}`);
+            } else if (defaultResult.changed) {
+                console.log(`⭐ Marked ${entry.language} as the default caption again`);
+            }
+        }
+
+        if (result.success) {
+            summary[result.action]++;
+        } else {
+            summary.failed++;
+        }
+        summary.results.push({ videoId: entry.videoId, language: entry.language, ...result });
+
+        // Add delay between uploads to avoid rate limiting
+        if (i < entries.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, config.delayBetweenRequests));
+        }
+    }
+
+    console.log(`\n📊 Caption Restore Summary:`);
+    console.log(`⏭️  Unchanged: ${summary.unchanged}`);
+    console.log(`🔄 Updated: ${summary.updated}`);
+    console.log(`🆕 Created: ${summary.created}`);
+    console.log(`❌ Failed: ${summary.failed}`);
+
+    if (summary.failed > 0) {
+        console.log(`\n❌ Failed restores:`);
+        summary.results.filter(r => !r.success).forEach(result => {
+            console.log(`   - ${result.videoId} (${result.language}): ${result.error}`);
+        });
+    }
+
+    return summary;
+}
+
+/**
+ * Reads the value of a --name value or --name=value command line option
+ */
+function getOption(args, name) {
+    const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) {
+        return null;
+    }
+    return args[index].includes('=') ? args[index].split('=').slice(1).join('=') : args[index + 1];
+}
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node caption_backup.js backup                         Snapshot every caption of every video');
+    console.log('  node caption_backup.js list                           List available snapshots');
+    console.log('  node caption_backup.js restore <snapshotDir|latest>   Re-upload a snapshot');
+    console.log('');
+    console.log('Restore options:');
+    console.log('  --video <id,id>       Only restore these video IDs');
+    console.log('  --language <xx,yy>    Only restore these languages');
+    console.log('  --dry-run             Show what would be restored');
+}
+
+// Execute the function if this file is run directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    if (command === 'backup') {
+        backupAllCaptions()
+            .then(({ manifest }) => {
+                console.log('\nCaption backup completed!');
+                process.exit(manifest.failureCount > 0 ? 1 : 0);
+            })
+            .catch(error => {
+                console.error('\nError:', error.message);
+                process.exit(1);
+            });
+    } else if (command === 'list') {
+        const snapshots = listSnapshots();
+        if (snapshots.length === 0) {
+            console.log(`📭 No snapshots found in ${config.snapshotFolder}`);
+        }
+        snapshots.forEach(({ snapshotDir, manifest }) => {
+            console.log(`💾 ${snapshotDir} - ${manifest.createdAt} - ${manifest.videoCount} videos, ${manifest.captionCount} captions, ${manifest.failureCount} failures`);
+        });
+    } else if (command === 'restore' && args[1]) {
+        let snapshotDir = args[1];
+        if (snapshotDir === 'latest') {
+            const latest = listSnapshots()[0];
+            if (!latest) {
+                console.error(`❌ No snapshots found in ${config.snapshotFolder}`);
+                process.exit(1);
+            }
+            snapshotDir = latest.snapshotDir;
+        }
+
+        const splitList = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+        restoreSnapshot(snapshotDir, {
+            videoIds: splitList(getOption(args, 'video')),
+            languages: splitList(getOption(args, 'language')),
+            dryRun: args.includes('--dry-run')
+        })
+            .then(summary => {
+                console.log('\nCaption restore completed!');
+                process.exit(summary.failed > 0 ? 1 : 0);
+            })
+            .catch(error => {
+                console.error('\nError:', error.message);
+                process.exit(1);
+            });
+    } else {
+        printUsage();
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    backupAllCaptions,
+    restoreSnapshot,
+    listSnapshots,
+    loadSnapshot,
+    config
+};
@@ -229,6 +229,7 @@ async function cleanupAllCaptionLanguages() {
         console.log('🧹 Caption Language Cleaner - Starting Process...');
         console.log(`🎯 Allowed languages: ${config.allowedLanguages.join(', ')}`);
         console.log(`🗑️  Will delete any captions NOT in the allowed list`);
+        console.log('💡 Take a caption snapshot first so deletions can be undone: node caption_backup.js backup');
         
         // Ensure we have valid authentication
         console.log('🔑 Ensuring valid authentication...');
@@ -0,0 +1,326 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+const { makeAuthenticatedRequest } = require('./auth.js');
+const { getLanguageName } = require('./subtitle_filename.js');
+const { findPlaceholderMarkers } = require('./subtitle_placeholders.js');
+
+// Configuration
+const config = {
+    apiBaseUrl: 'https://ws.api.video',
+    delayBetweenDeleteAndUpload: 500,
+    backupFolder: process.env.CAPTION_BACKUP_FOLDER || './caption_backups',
+    rollbackLogFile: process.env.CAPTION_ROLLBACK_LOG || './caption_rollbacks.log'
+};
+
+/**
+ * Gets a single caption of a video, or null if the video has no caption in that language
+ */
+async function getCaption(videoId, language) {
+    try {
+        const response = await makeAuthenticatedRequest({
+            method: 'GET',
+            url: `${config.apiBaseUrl}/videos/${videoId}/captions/${language}`
+        });
+
+        return response.data || null;
+
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Downloads the VTT content behind a caption's src URL
+ */
+async function downloadCaptionContent(src) {
+    const response = await axios.get(src, {
+        responseType: 'text',
+        transformResponse: data => data,
+        timeout: 30000
+    });
+
+    return response.data;
+}
+
+/**
+ * Normalizes VTT content so that whitespace and line ending differences do not count as changes
+ */
+function normalizeCaptionContent(content) {
+    return String(content)
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Hashes normalized VTT content
+ */
+function hashCaptionContent(content) {
+    return crypto.createHash('sha256').update(normalizeCaptionContent(content)).digest('hex');
+}
+
+/**
+ * Deletes an existing caption for a video in the given language
+ */
+async function deleteCaption(videoId, language) {
+    const languageName = getLanguageName(language);
+
+    try {
+        console.log(`🗑️  Deleting existing ${languageName} caption for video ${videoId}...`);
+
+        const response = await makeAuthenticatedRequest({
+            method: 'DELETE',
+            url: `${config.apiBaseUrl}/videos/${videoId}/captions/${language}`
+        });
+
+        if (response.status === 204) {
+            console.log(`✅ Successfully deleted ${languageName} caption for video ${videoId}`);
+            return { success: true };
+        } else {
+            console.error(`❌ Failed to delete ${languageName} caption: HTTP ${response.status}`);
+            return { success: false, error: `HTTP ${response.status}` };
+        }
+
+    } catch (error) {
+        // 404 is expected if caption doesn't exist
+        if (error.response?.status === 404) {
+            console.log(`ℹ️  No existing ${languageName} caption found for video ${videoId}`);
+            return { success: true };
+        }
+
+        console.error(`❌ Error deleting ${languageName} caption:`, error.response?.data || error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Uploads VTT content as a caption of a video in the given language
+ */
+async function uploadCaptionContent(videoId, language, vttContent, filename) {
+    const languageName = getLanguageName(language);
+
+    try {
+        console.log(`📤 Uploading ${languageName} caption for video ${videoId}...`);
+        console.log(`    File: ${filename}`);
+        console.log(`    Language: ${languageName} (${language})`);
+
+        const formData = new FormData();
+        formData.append('file', Buffer.from(vttContent), {
+            filename: filename,
+            contentType: 'text/vtt'
+        });
+
+        const response = await makeAuthenticatedRequest({
+            method: 'POST',
+            url: `${config.apiBaseUrl}/videos/${videoId}/captions/${language}`,
+            data: formData,
+            headers: {
+                ...formData.getHeaders()
+            }
+        });
+
+        if (response.status === 200 || response.status === 201) {
+            console.log(`✅ ${languageName} caption uploaded successfully for video ${videoId}`);
+            return { success: true };
+        } else {
+            console.error(`❌ Failed to upload ${languageName} caption for video ${videoId}: ${response.status}`);
+            return { success: false, error: `HTTP ${response.status}` };
+        }
+
+    } catch (error) {
+        console.error(`❌ Error uploading ${languageName} caption for video ${videoId}:`, error.response?.data || error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Marks a caption as the default caption of a video
+ */
+async function setDefaultCaption(videoId, language) {
+    try {
+        await makeAuthenticatedRequest({
+            method: 'PATCH',
+            url: `${config.apiBaseUrl}/videos/${videoId}/captions/${language}`,
+            data: { default: true },
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Caption operations used by replaceCaption; callers using another client can pass their own
+const restCaptionApi = {
+    getCaption,
+    downloadCaptionContent,
+    deleteCaption,
+    uploadCaptionContent,
+    setDefaultCaption
+};
+
+/**
+ * Saves a copy of an existing caption before it gets replaced
+ */
+function saveCaptionBackup(videoId, language, vttContent) {
+    if (!fs.existsSync(config.backupFolder)) {
+        fs.mkdirSync(config.backupFolder, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(config.backupFolder, `[${videoId}]_${timestamp}_${language}.vtt`);
+    fs.writeFileSync(backupPath, vttContent, 'utf8');
+
+    return backupPath;
+}
+
+/**
+ * Records a rollback in the console and in the rollback log file
+ */
+function logRollback(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+
+    console.log(`⏪ Rollback ${record.restored ? 'succeeded' : 'FAILED'} for ${record.language} caption of video ${record.videoId}`);
+    console.log(`    Upload error: ${record.uploadError}`);
+    console.log(`    Backup: ${record.backupPath}`);
+    if (!record.restored) {
+        console.error(`❌ Restore error: ${record.restoreError} - restore manually from the backup file`);
+    }
+
+    try {
+        fs.appendFileSync(config.rollbackLogFile, JSON.stringify(record) + '\n');
+    } catch (error) {
+        console.log(`⚠️  Could not write rollback log: ${error.message}`);
+    }
+}
+
+/**
+ * Replaces a caption of a video with new VTT content
+ * The existing caption is downloaded and saved first, then deleted and the new content uploaded.
+ * If the upload fails, the saved caption is uploaded again. Unless skipUnchanged is false,
+ * nothing happens when the remote content already matches.
+ * Returns an action of 'unchanged', 'updated', 'created', 'rolled_back' or 'failed'
+ */
+async function replaceCaption(videoId, language, vttContent, filename, options = {}) {
+    const { api = restCaptionApi, force = false, skipUnchanged = true } = options;
+    const languageName = getLanguageName(language);
+
+    // Placeholder error text must never replace a real caption
+    const placeholderMarkers = findPlaceholderMarkers(vttContent);
+    if (placeholderMarkers.length > 0) {
+        console.error(`🚫 Refusing to upload ${filename} as ${languageName} caption of video ${videoId}: contains placeholder text`);
+        return { success: false, action: 'failed', error: `Placeholder text in caption: ${placeholderMarkers.join(', ')}` };
+    }
+
+    let existingCaption;
+    try {
+        existingCaption = await api.getCaption(videoId, language);
+    } catch (error) {
+        const message = error.response?.data?.title || error.message;
+        console.error(`❌ Could not fetch existing ${languageName} caption for video ${videoId}: ${message}`);
+        return { success: false, action: 'failed', error: `Could not fetch existing caption: ${message}` };
+    }
+
+    if (!existingCaption) {
+        const uploadResult = await api.uploadCaptionContent(videoId, language, vttContent, filename);
+        return {
+            success: uploadResult.success,
+            action: uploadResult.success ? 'created' : 'failed',
+            error: uploadResult.error
+        };
+    }
+
+    // Keep a copy of the current caption so it can be restored
+    let previousContent;
+    try {
+        previousContent = await api.downloadCaptionContent(existingCaption.src);
+    } catch (error) {
+        console.error(`❌ Could not download existing ${languageName} caption for video ${videoId}: ${error.message}`);
+        console.log(`🛑 Leaving the existing caption in place`);
+        return { success: false, action: 'failed', error: `Could not back up existing caption: ${error.message}` };
+    }
+
+    if (skipUnchanged && !force && hashCaptionContent(previousContent) === hashCaptionContent(vttContent)) {
+        console.log(`⏭️  ${languageName} caption for video ${videoId} is already up to date`);
+        return { success: true, action: 'unchanged' };
+    }
+
+    const backupPath = saveCaptionBackup(videoId, language, previousContent);
+    console.log(`💾 Saved existing ${languageName} caption to: ${backupPath}`);
+
+    const deleteResult = await api.deleteCaption(videoId, language);
+    if (!deleteResult.success) {
+        return { success: false, action: 'failed', backupPath, error: `Could not delete existing caption: ${deleteResult.error}` };
+    }
+
+    // Small delay between delete and upload
+    await new Promise(resolve => setTimeout(resolve, config.delayBetweenDeleteAndUpload));
+
+    const uploadResult = await api.uploadCaptionContent(videoId, language, vttContent, filename);
+    if (uploadResult.success) {
+        // The delete dropped the default flag, so it is set again on the new caption
+        if (existingCaption.default) {
+            const defaultResult = await api.setDefaultCaption(videoId, language);
+            if (!defaultResult.success) {
+                console.log(`⚠️  Replaced caption but could not mark it as default: ${defaultResult.error}`);
+            }
+        }
+        return { success: true, action: 'updated', backupPath };
+    }
+
+    // Upload failed: put the previous caption back
+    console.log(`⏪ Upload failed, restoring previous ${languageName} caption for video ${videoId}...`);
+    const restoreResult = await api.uploadCaptionContent(videoId, language, previousContent, path.basename(backupPath));
+
+    if (restoreResult.success && existingCaption.default) {
+        const defaultResult = await api.setDefaultCaption(videoId, language);
+        if (!defaultResult.success) {
+            console.log(`⚠️  Restored caption but could not mark it as default: ${defaultResult.error}`);
+        }
+    }
+
+    logRollback({
+        videoId,
+        language,
+        filename,
+        backupPath,
+        uploadError: uploadResult.error,
+        restored: restoreResult.success,
+        restoreError: restoreResult.error
+    });
+
+    return {
+        success: false,
+        action: 'rolled_back',
+        rolledBack: restoreResult.success,
+        backupPath,
+        error: uploadResult.error
+    };
+}
+
+module.exports = {
+    getCaption,
+    downloadCaptionContent,
+    normalizeCaptionContent,
+    hashCaptionContent,
+    deleteCaption,
+    uploadCaptionContent,
+    setDefaultCaption,
+    saveCaptionBackup,
+    replaceCaption,
+    restCaptionApi,
+    config
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+// Matches a BCP-47 language suffix such as _en.vtt, _pt-BR.vtt or _zh-Hans.vtt
+const languageSuffixRegex = /_([a-zA-Z]{2,3}(?:-[a-zA-Z0-9]{2,8})*)\.vtt$/;
+
+/**
+ * Normalizes a BCP-47 language tag (e.g. 'pt-br' -> 'pt-BR', 'ZH-hans' -> 'zh-Hans')
+ */
+function normalizeLanguageTag(tag) {
+    if (!tag) {
+        return null;
+    }
+
+    try {
+        return Intl.getCanonicalLocales(tag.replace(/_/g, '-'))[0];
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets a human readable name for a language tag, falling back to the tag itself
+ */
+function getLanguageName(tag) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag;
+    } catch (error) {
+        return tag;
+    }
+}
+
+/**
+ * Extracts video ID from a subtitle filename stem (language suffix already removed)
+ */
+function extractVideoIdFromStem(stem) {
+    // Pattern 1: [videoId]_title
+    const pattern1 = stem.match(/^\[([^\]]+)\]_.+$/);
+    if (pattern1) {
+        return pattern1[1];
+    }
+
+    // Pattern 2: videoId_title (without brackets)
+    const pattern2 = stem.match(/^([a-zA-Z0-9]{10,})_.+$/);
+    if (pattern2) {
+        return pattern2[1];
+    }
+
+    // Pattern 3: title_videoId
+    const pattern3 = stem.match(/^.+_([a-zA-Z0-9]{10,})$/);
+    if (pattern3) {
+        return pattern3[1];
+    }
+
+    return null;
+}
+
+/**
+ * Parses a subtitle filename into video ID, title and language
+ * Supported formats: [videoId]_title_xx.vtt, videoId_title_xx.vtt, title_videoId_xx.vtt
+ */
+function parseSubtitleFilename(filename) {
+    const languageMatch = filename.match(languageSuffixRegex);
+    if (!languageMatch) {
+        return null;
+    }
+
+    const language = normalizeLanguageTag(languageMatch[1]);
+    if (!language) {
+        return null;
+    }
+
+    const stem = filename.slice(0, languageMatch.index);
+    const videoId = extractVideoIdFromStem(stem);
+    const title = stem.replace(/^\[[^\]]+\]_/, '');
+
+    return {
+        filename,
+        videoId,
+        title,
+        language,
+        hasVideoId: !!videoId
+    };
+}
+
+/**
+ * Finds all subtitle files in a folder whose language suffix matches one of the given languages
+ */
+function findSubtitleFiles(folder, languages) {
+    if (!fs.existsSync(folder)) {
+        console.error(`❌ Subtitle folder not found: ${folder}`);
+        return [];
+    }
+
+    const wantedLanguages = languages.map(normalizeLanguageTag).filter(Boolean);
+    const subtitleFiles = [];
+
+    for (const filename of fs.readdirSync(folder)) {
+        if (!filename.toLowerCase().endsWith('.vtt')) {
+            continue;
+        }
+
+        const parsed = parseSubtitleFilename(filename);
+        if (parsed && wantedLanguages.includes(parsed.language)) {
+            subtitleFiles.push({
+                ...parsed,
+                filePath: path.join(folder, filename)
+            });
+        }
+    }
+
+    return subtitleFiles;
+}
+
+module.exports = {
+    parseSubtitleFilename,
+    findSubtitleFiles,
+    normalizeLanguageTag,
+    getLanguageName
+};
@@ -2,6 +2,7 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { findPlaceholderMarkers } = require('./subtitle_placeholders.js');
 
 // Configuration from environment variables
 const config = {
@@ -141,8 +142,7 @@ function extractTextFromVttContent(content) {
             !line.match(/^\d+$/) &&
             !line.startsWith('[') &&
             !line.includes('X-TIMESTAMP-MAP') &&
-            !line.includes('OPENAI_API_KEY') &&
-            !line.includes('transcription')) {
+            findPlaceholderMarkers(line).length === 0) {
             textLines.push(line);
         }
     }
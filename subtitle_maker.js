@@ -0,0 +1,291 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { replaceCaption } = require('./caption_replacer.js');
+const { findSubtitleFiles, normalizeLanguageTag, getLanguageName } = require('./subtitle_filename.js');
+
+// Configuration
+const config = {
+    vttOutputFolder: process.env.VTT_OUTPUT_FOLDER || './subtitles',
+    delayBetweenRequests: parseInt(process.env.SUBTITLE_MAKER_DELAY) || 300, // Delay between files
+    force: process.argv.includes('--force') || process.env.SUBTITLE_MAKER_FORCE === 'true' // Replace even when content is identical
+};
+
+/**
+ * Replaces the caption of a video with the local VTT file, skipping the upload when the remote caption is identical
+ */
+async function replaceCaptionFromFile(videoId, language, vttFilePath) {
+    const vttContent = fs.readFileSync(vttFilePath, 'utf8');
+    return await replaceCaption(videoId, language, vttContent, path.basename(vttFilePath), { force: config.force });
+}
+
+/**
+ * Processes a single subtitle file
+ */
+async function processSubtitle(file) {
+    const { filename, filePath, videoId, language } = file;
+
+    console.log(`\n🎬 Processing: ${filename}`);
+
+    if (!videoId) {
+        console.log(`❌ Could not extract video ID from filename: ${filename}`);
+        return {
+            success: false,
+            filename,
+            language,
+            error: 'Could not extract video ID from filename'
+        };
+    }
+
+    console.log(`📋 Video ID: ${videoId}`);
+
+    try {
+        const replaceResult = await replaceCaptionFromFile(videoId, language, filePath);
+
+        return {
+            success: replaceResult.success,
+            filename,
+            videoId,
+            language,
+            error: replaceResult.error,
+            action: replaceResult.action
+        };
+
+    } catch (error) {
+        console.error(`❌ Error processing ${filename}:`, error.message);
+        return {
+            success: false,
+            filename,
+            videoId,
+            language,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Main function to process all subtitle files for the given languages
+ */
+async function processAllSubtitles(languages) {
+    const languageList = languages.map(normalizeLanguageTag).filter(Boolean);
+    const languageLabel = languageList.map(lang => `${getLanguageName(lang)} (${lang})`).join(', ');
+
+    try {
+        console.log('🌐 Subtitle Maker - Starting Process...');
+        console.log(`🎯 Languages: ${languageLabel}`);
+
+        if (languageList.length === 0) {
+            console.log(`❌ No valid language codes given.`);
+            return;
+        }
+
+        const subtitleFiles = findSubtitleFiles(config.vttOutputFolder, languageList);
+
+        console.log(`\n📊 Subtitle Files Overview:`);
+        console.log(`📁 Subtitle folder: ${config.vttOutputFolder}`);
+        languageList.forEach(lang => {
+            const count = subtitleFiles.filter(file => file.language === lang).length;
+            console.log(`🔍 Files with "_${lang}": ${count}`);
+        });
+
+        if (subtitleFiles.length === 0) {
+            console.log(`📭 No subtitle files found.`);
+            console.log(`💡 Make sure your subtitle files end with the language code, e.g. "_${languageList[0]}.vtt".`);
+            return;
+        }
+
+        // Separate files with and without video IDs
+        const filesWithVideoId = subtitleFiles.filter(file => file.hasVideoId);
+        const filesWithoutVideoId = subtitleFiles.filter(file => !file.hasVideoId);
+
+        console.log(`🆔 Files with video IDs: ${filesWithVideoId.length}`);
+        console.log(`⚠️  Files without video IDs: ${filesWithoutVideoId.length}`);
+
+        if (filesWithoutVideoId.length > 0) {
+            console.log(`\n⚠️  The following files cannot be processed (missing video IDs):`);
+            filesWithoutVideoId.forEach(file => {
+                console.log(`   - ${file.filename}`);
+            });
+            console.log(`💡 Ensure video IDs are included in filenames`);
+        }
+
+        if (filesWithVideoId.length === 0) {
+            console.log(`❌ No processable subtitle files found.`);
+            return;
+        }
+
+        console.log(`\n🚀 Processing ${filesWithVideoId.length} subtitle files...`);
+
+        let successCount = 0;
+        let failureCount = 0;
+        const actionCounts = { unchanged: 0, updated: 0, created: 0 };
+        const results = [];
+
+        for (let i = 0; i < filesWithVideoId.length; i++) {
+            const file = filesWithVideoId[i];
+
+            console.log(`\n📈 Progress: ${i + 1}/${filesWithVideoId.length}`);
+
+            const result = await processSubtitle(file);
+            results.push(result);
+
+            if (result.success) {
+                successCount++;
+                actionCounts[result.action]++;
+            } else {
+                failureCount++;
+            }
+
+            // Add delay between uploads to be respectful to the API
+            if (i < filesWithVideoId.length - 1) {
+                console.log(`⏳ Waiting ${config.delayBetweenRequests}ms before next file...`);
+                await new Promise(resolve => setTimeout(resolve, config.delayBetweenRequests));
+            }
+        }
+
+        // Summary
+        console.log(`\n📊 Subtitle Processing Summary:`);
+        console.log(`⏭️  Unchanged: ${actionCounts.unchanged}`);
+        console.log(`🔄 Updated: ${actionCounts.updated}`);
+        console.log(`🆕 Created: ${actionCounts.created}`);
+        console.log(`❌ Failed: ${failureCount}`);
+        console.log(`⏪ Rolled back: ${results.filter(r => r.action === 'rolled_back').length}`);
+
+        if (failureCount > 0) {
+            console.log(`\n❌ Failed uploads:`);
+            results.filter(r => !r.success).forEach(result => {
+                console.log(`   - ${result.filename} (${result.videoId || 'unknown'}, ${result.language}): ${result.error}`);
+            });
+        }
+
+        if (successCount > 0) {
+            console.log(`\n🎉 Successfully processed ${successCount} subtitle files!`);
+            console.log(`🌐 ${languageLabel} captions are now available on your API.video videos`);
+        }
+
+        return {
+            total: filesWithVideoId.length,
+            successful: successCount,
+            failed: failureCount,
+            unchanged: actionCounts.unchanged,
+            updated: actionCounts.updated,
+            created: actionCounts.created,
+            results
+        };
+
+    } catch (error) {
+        console.error('❌ Error in subtitle processing:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Processes a subtitle for a specific video ID and language
+ */
+async function processSubtitleForVideo(videoId, language, vttFilePath) {
+    const normalizedLanguage = normalizeLanguageTag(language);
+
+    try {
+        if (!normalizedLanguage) {
+            console.error(`❌ Invalid language code: ${language}`);
+            return false;
+        }
+
+        const languageName = getLanguageName(normalizedLanguage);
+        console.log(`🌐 Processing ${languageName} subtitle for specific video: ${videoId}`);
+
+        if (!fs.existsSync(vttFilePath)) {
+            console.error(`❌ VTT file not found: ${vttFilePath}`);
+            return false;
+        }
+
+        const replaceResult = await replaceCaptionFromFile(videoId, normalizedLanguage, vttFilePath);
+
+        if (replaceResult.success) {
+            console.log(`🎉 ${languageName} subtitle processing completed successfully (${replaceResult.action})!`);
+            return true;
+        } else {
+            console.error(`❌ ${languageName} subtitle processing failed: ${replaceResult.error}`);
+            return false;
+        }
+
+    } catch (error) {
+        console.error('❌ Error processing subtitle:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node subtitle_maker.js <lang>[,<lang>...]                 Replace captions for all matching _<lang>.vtt files');
+    console.log('  node subtitle_maker.js single <lang> <videoId> <vttFile>  Replace one caption');
+    console.log('');
+    console.log('Options:');
+    console.log('  --force  Replace captions even when the remote content is identical');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node subtitle_maker.js en');
+    console.log('  node subtitle_maker.js ar,fr,es,it,de,pt-BR');
+    console.log('  node subtitle_maker.js single fr vi4ynvmEuSeid9CQMODBJnVJ ./subtitles/file_fr.vtt');
+}
+
+// Execute the function if this file is run directly
+if (require.main === module) {
+    const args = process.argv.slice(2).filter(arg => arg !== '--force');
+    const command = args[0];
+
+    if (command === 'single') {
+        const [language, videoId, filePath] = args.slice(1);
+
+        if (!language || !videoId || !filePath) {
+            printUsage();
+            process.exit(1);
+        }
+
+        processSubtitleForVideo(videoId, language, filePath)
+            .then(success => {
+                if (success) {
+                    console.log('\nSubtitle processing completed successfully!');
+                    process.exit(0);
+                } else {
+                    console.log('\nSubtitle processing failed!');
+                    process.exit(1);
+                }
+            })
+            .catch(error => {
+                console.error('\nError:', error.message);
+                process.exit(1);
+            });
+    } else if (command && command !== 'help') {
+        const languages = args.join(',').split(',').map(lang => lang.trim()).filter(Boolean);
+
+        processAllSubtitles(languages)
+            .then(result => {
+                if (result && result.successful > 0) {
+                    console.log('\nSubtitle processing completed!');
+                    process.exit(0);
+                } else {
+                    console.log('\nNo subtitles were processed successfully.');
+                    process.exit(1);
+                }
+            })
+            .catch(error => {
+                console.error('\nError:', error.message);
+                process.exit(1);
+            });
+    } else {
+        printUsage();
+        process.exit(command ? 0 : 1);
+    }
+}
+
+module.exports = {
+    processAllSubtitles,
+    processSubtitleForVideo,
+    processSubtitle,
+    replaceCaptionFromFile,
+    config
+};
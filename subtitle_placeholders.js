@@ -0,0 +1,40 @@
+// Error text that older versions of the generators and translators wrote into VTT files as if it were a caption
+const placeholderPatterns = [
+    /\[No transcription available[^\]\n]*\]/i,
+    /^No transcription available$/im,
+    /\[(Local )?Whisper not installed[^\]\n]*\]/i,
+    /\[Failed to start Whisper[^\]\n]*\]/i,
+    /\[[^\]\n]*transcription failed[^\]\n]*\]/i,
+    /\[Transcription file not found[^\]\n]*\]/i,
+    /\[Error processing transcription[^\]\n]*\]/i,
+    /\[Translation failed[^\n]*\]/i,
+    /\[OpenRouter API key not configured[^\]\n]*\]/i,
+    /\[[^\]\n]*set (OpenAI API key|OPENAI_API_KEY)[^\]\n]*\]/i // Only the bracketed marker, captions may mention the variable itself
+];
+
+/**
+ * Finds the placeholder markers in subtitle content, returns the matched texts (empty when the content is clean)
+ */
+function findPlaceholderMarkers(content) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+    return placeholderPatterns
+        .map(pattern => text.match(pattern))
+        .filter(Boolean)
+        .map(match => match[0].trim());
+}
+
+/**
+ * Throws when subtitle content contains placeholder markers, so upload paths refuse to publish it
+ */
+function assertNoPlaceholders(content, filename = 'caption') {
+    const markers = findPlaceholderMarkers(content);
+    if (markers.length > 0) {
+        throw new Error(`Refusing to upload ${filename}: contains placeholder text ${markers.map(marker => `"${marker}"`).join(', ')}`);
+    }
+}
+
+module.exports = {
+    placeholderPatterns,
+    findPlaceholderMarkers,
+    assertNoPlaceholders
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const ffmpeg = require('fluent-ffmpeg');
+
+/*
+ * Audio-based speech / music / noise classification
+ *
+ * One ffmpeg pass runs silencedetect and per-frame astats (RMS level and zero-crossing rate).
+ * Frames are grouped into windows and classified from their statistics:
+ *   - speech swings in loudness between syllables and pauses and alternates voiced/unvoiced sounds,
+ *     so its RMS level and zero-crossing rate vary a lot within a window
+ *   - music keeps a steady level and a steady, fairly low zero-crossing rate
+ *   - broadband noise (wind, hiss, crowd) is steady too but crosses zero far more often
+ */
+
+// Configuration from environment variables
+const config = {
+    frameSeconds: 0.1, // astats frame length; extracted audio is 16 kHz mono
+    windowSeconds: parseFloat(process.env.AUDIO_CLASSIFIER_WINDOW) || 2, // Frames per classified window
+    speechDynamicsDb: parseFloat(process.env.SPEECH_DYNAMICS_DB) || 6, // RMS spread (dB) above which a window is speech
+    speechZcrVariation: 0.6, // Zero-crossing rate variation (stddev / mean) above which a window is speech
+    noiseZcr: parseFloat(process.env.NOISE_ZCR) || 0.3, // Steady windows crossing zero more often than this are noise
+    musicMinDuration: parseFloat(process.env.MUSIC_MIN_DURATION) || 4, // Shortest music region that gets a cue (seconds)
+    musicLabel: '♪ [Music] ♪'
+};
+
+/**
+ * Computes mean and standard deviation of a list of numbers
+ */
+function meanAndDeviation(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return { mean, deviation: Math.sqrt(variance) };
+}
+
+/**
+ * Classifies a window of astats frames as 'silence', 'speech', 'noise' or 'music'
+ */
+function classifyWindow(frames, silenceDb) {
+    const level = meanAndDeviation(frames.map(frame => frame.rmsDb));
+    const zcr = meanAndDeviation(frames.map(frame => frame.zcr));
+    const zcrVariation = zcr.mean > 0 ? zcr.deviation / zcr.mean : 0;
+
+    if (level.mean < silenceDb) {
+        return 'silence';
+    }
+    if (level.deviation >= config.speechDynamicsDb || zcrVariation >= config.speechZcrVariation) {
+        return 'speech';
+    }
+    if (zcr.mean >= config.noiseZcr) {
+        return 'noise';
+    }
+    return 'music';
+}
+
+/**
+ * Turns per-frame statistics into classified regions [{ start, end, type }]
+ * Single windows that disagree with both neighbours are smoothed away before merging
+ */
+function classifyFrames(frames, silenceThreshold) {
+    const silenceDb = 20 * Math.log10(silenceThreshold);
+    const framesPerWindow = Math.max(1, Math.round(config.windowSeconds / config.frameSeconds));
+    const windows = [];
+
+    for (let i = 0; i < frames.length; i += framesPerWindow) {
+        const windowFrames = frames.slice(i, i + framesPerWindow);
+        const last = windowFrames[windowFrames.length - 1];
+        windows.push({
+            start: windowFrames[0].time,
+            end: last.time + config.frameSeconds,
+            type: classifyWindow(windowFrames, silenceDb)
+        });
+    }
+
+    const smoothed = windows.map((window, index) => {
+        const previous = windows[index - 1];
+        const next = windows[index + 1];
+        if (previous && next && previous.type === next.type && window.type !== previous.type) {
+            return { ...window, type: previous.type };
+        }
+        return window;
+    });
+
+    const regions = [];
+    for (const window of smoothed) {
+        const last = regions[regions.length - 1];
+        if (last && last.type === window.type) {
+            last.end = window.end;
+        } else {
+            regions.push({ ...window });
+        }
+    }
+
+    return regions;
+}
+
+/**
+ * Analyzes audio for silent segments and classifies it into speech, music and noise regions
+ * Resolves to { silenceSegments, musicSegments, regions }
+ */
+async function analyzeAudio(audioPath, options = {}) {
+    const { silenceThreshold = 0.01, classify = true } = options;
+    const frameSamples = Math.round(16000 * config.frameSeconds);
+
+    return new Promise((resolve, reject) => {
+        console.log(`🔍 Analyzing audio for silence${classify ? ', speech and music' : ''}...`);
+
+        const silenceSegments = [];
+        const frames = [];
+
+        const filters = [`silencedetect=noise=${silenceThreshold}:duration=1.0`];
+        if (classify) {
+            filters.push(
+                `asetnsamples=n=${frameSamples}:p=0`,
+                'astats=metadata=1:reset=1:measure_perchannel=RMS_level+Zero_crossings_rate:measure_overall=none',
+                'ametadata=mode=print'
+            );
+        }
+
+        const analysis = ffmpeg(audioPath)
+            .audioFilters(filters)
+            .format('null')
+            .on('stderr', (stderrLine) => {
+                const silenceStartMatch = stderrLine.match(/silence_start: (\d+\.?\d*)/);
+                const silenceEndMatch = stderrLine.match(/silence_end: (\d+\.?\d*)/);
+                const frameMatch = stderrLine.match(/pts_time:(\d+\.?\d*)/);
+                const rmsMatch = stderrLine.match(/lavfi\.astats\.1\.RMS_level=(\S+)/);
+                const zcrMatch = stderrLine.match(/lavfi\.astats\.1\.Zero_crossings_rate=(\S+)/);
+
+                if (silenceStartMatch) {
+                    silenceSegments.push({ start: parseFloat(silenceStartMatch[1]), end: null });
+                }
+
+                if (silenceEndMatch && silenceSegments.length > 0) {
+                    const lastSegment = silenceSegments[silenceSegments.length - 1];
+                    if (lastSegment.end === null) {
+                        lastSegment.end = parseFloat(silenceEndMatch[1]);
+                    }
+                }
+
+                // ametadata prints a frame line followed by one line per astats key; -inf levels are digital silence
+                if (frameMatch) {
+                    frames.push({ time: parseFloat(frameMatch[1]), rmsDb: -120, zcr: 0 });
+                } else if (frames.length > 0 && (rmsMatch || zcrMatch)) {
+                    const frame = frames[frames.length - 1];
+                    const value = parseFloat((rmsMatch || zcrMatch)[1]);
+                    if (rmsMatch && Number.isFinite(value)) {
+                        frame.rmsDb = Math.max(-120, value);
+                    } else if (zcrMatch && Number.isFinite(value)) {
+                        frame.zcr = value;
+                    }
+                }
+            })
+            .on('end', () => {
+                const regions = frames.length > 0 ? classifyFrames(frames, silenceThreshold) : [];
+                const musicSegments = regions
+                    .filter(region => region.type === 'music')
+                    .map(({ start, end }) => ({ start, end }));
+
+                console.log(`📊 Found ${silenceSegments.length} silence segments`);
+                if (classify) {
+                    const seconds = type => regions
+                        .filter(region => region.type === type)
+                        .reduce((sum, region) => sum + region.end - region.start, 0)
+                        .toFixed(0);
+                    console.log(`🎼 Audio classes: speech ${seconds('speech')}s, music ${seconds('music')}s, noise ${seconds('noise')}s, silence ${seconds('silence')}s`);
+                }
+
+                resolve({ silenceSegments, musicSegments, regions });
+            })
+            .on('error', (err) => {
+                console.error(`❌ Error analyzing audio:`, err.message);
+                reject(err);
+            });
+
+        // Save to null (we just want the analysis, not the output)
+        analysis.save('/dev/null');
+    });
+}
+
+/**
+ * Checks whether cue text is only a music marker (Whisper often writes "♪" or "[Music]" over instrumentals)
+ */
+function isMusicMarkerText(text) {
+    return /^[\s♪♫♬🎵]*([[(]?\s*(music|instrumental|musique|música|musica|موسيقى)\s*[\])]?)?[\s♪♫♬🎵]*$/i.test(text);
+}
+
+/**
+ * Adds ♪ [Music] ♪ cues for music regions that contain no speech cue
+ * Transcribed cues that are only music markers inside a music region are replaced by the region's cue;
+ * other cues are kept as they are, whatever their text
+ */
+function addMusicCues(cues, audioAnalysis) {
+    const musicSegments = ((audioAnalysis && audioAnalysis.musicSegments) || [])
+        .filter(segment => segment.end - segment.start >= config.musicMinDuration);
+
+    if (musicSegments.length === 0) {
+        return cues;
+    }
+
+    const insideMusic = cue => musicSegments.some(segment =>
+        Math.min(segment.end, cue.end) - Math.max(segment.start, cue.start) >= (cue.end - cue.start) / 2
+    );
+    const speechCues = cues.filter(cue => !(isMusicMarkerText(cue.text) && insideMusic(cue)));
+
+    // Parts of each music region not covered by a speech cue
+    const musicCues = [];
+    for (const segment of musicSegments) {
+        let start = segment.start;
+        const overlapping = speechCues
+            .filter(cue => cue.end > segment.start && cue.start < segment.end)
+            .sort((a, b) => a.start - b.start);
+
+        for (const cue of [...overlapping, { start: segment.end, end: segment.end }]) {
+            if (cue.start - start >= config.musicMinDuration) {
+                musicCues.push({ start, end: cue.start, text: config.musicLabel, words: [], music: true });
+            }
+            start = Math.max(start, cue.end);
+        }
+    }
+
+    return [...speechCues, ...musicCues].sort((a, b) => a.start - b.start);
+}
+
+// Execute if this file is run directly
+if (require.main === module) {
+    const audioPath = process.argv[2];
+
+    if (!audioPath) {
+        console.log('Usage: node audioClassifier.js <audio-file>   Print the speech/music/noise regions of a file');
+        process.exit(1);
+    }
+
+    analyzeAudio(audioPath, { silenceThreshold: parseFloat(process.env.SILENCE_THRESHOLD) || 0.01 })
+        .then(({ regions }) => {
+            regions.forEach(region => {
+                console.log(`${region.start.toFixed(1).padStart(8)}s - ${region.end.toFixed(1).padStart(8)}s  ${region.type}`);
+            });
+        })
+        .catch(() => process.exit(1));
+}
+
+module.exports = {
+    analyzeAudio,
+    classifyFrames,
+    addMusicCues,
+    isMusicMarkerText,
+    config
+};
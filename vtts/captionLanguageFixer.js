@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { getAccessToken, makeAuthenticatedRequest } = require('../auth.js');
+const { findPlaceholderMarkers } = require('../subtitle_placeholders.js');
 
 // Configuration from environment variables
 const config = {
@@ -112,6 +113,12 @@ async function moveCaption(videoId, fromLanguage, toLanguage, captionSrc) {
             return { success: false, error: `Failed to download VTT: ${downloadError.message}` };
         }
         
+        // Never move placeholder text into another language slot
+        const placeholderMarkers = findPlaceholderMarkers(vttContent);
+        if (placeholderMarkers.length > 0) {
+            return { success: false, error: `Caption contains placeholder text: ${placeholderMarkers.join(', ')}` };
+        }
+        
         // Step 2: Check if target language slot already exists
         const existingCaption = await getVideoCaption(videoId, toLanguage);
         if (existingCaption.success) {
@@ -510,6 +517,7 @@ if (require.main === module) {
     if (args.includes('--batch-delete')) {
         options.batchAction = 'delete';
         options.interactive = false;
+        console.log('💡 Take a caption snapshot first so deletions can be undone: node ../caption_backup.js backup');
     } else if (args.includes('--batch-move')) {
         options.batchAction = 'move';
         options.interactive = false;
@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { makeAuthenticatedRequest } = require('../auth');
+const { assertNoPlaceholders } = require('../subtitle_placeholders.js');
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
@@ -128,6 +129,7 @@ async function uploadCaption(videoId, languageCode, vttFilePath) {
     form.append('file', fs.createReadStream(vttFilePath));
 
     try {
+        assertNoPlaceholders(await fsp.readFile(vttFilePath), path.basename(vttFilePath));
         await makeAuthenticatedRequest({
             url: `${API_BASE_URL}/videos/${videoId}/captions/${languageCode}`,
             method: 'POST',
@@ -2,6 +2,7 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { getAccessToken, makeAuthenticatedRequest } = require('../auth.js');
+const { assertNoPlaceholders } = require('../subtitle_placeholders.js');
 
 // Configuration
 const config = {
@@ -85,6 +86,10 @@ async function uploadCaption(videoId, vttFilePath, language, overwriteExisting =
             throw new Error(`VTT file not found: ${vttFilePath}`);
         }
         
+        // Read the VTT file; a file with placeholder text must not replace (or delete) the remote caption
+        const vttContent = fs.readFileSync(vttFilePath);
+        assertNoPlaceholders(vttContent, filename);
+        
         // Check if caption already exists
         const captionExists = await checkCaptionExists(videoId, language);
         if (captionExists && !overwriteExisting) {
@@ -108,9 +113,6 @@ async function uploadCaption(videoId, vttFilePath, language, overwriteExisting =
             }
         }
         
-        // Read the VTT file
-        const vttContent = fs.readFileSync(vttFilePath);
-        
         // Create form data
         const FormData = require('form-data');
         const formData = new FormData();
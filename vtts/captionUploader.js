@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { getAccessToken } = require('../auth.js');
+const { assertNoPlaceholders } = require('../subtitle_placeholders.js');
 const { parseVideoFilename } = require('./vttGenerator.js');
 
 // Configuration from environment variables
@@ -24,6 +25,7 @@ async function uploadCaption(videoId, vttFilePath, accessToken, language = 'en')
         
         // Read the VTT file
         const vttContent = fs.readFileSync(vttFilePath);
+        assertNoPlaceholders(vttContent, filename);
         
         // Create form data
         const FormData = require('form-data');
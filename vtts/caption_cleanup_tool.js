@@ -246,6 +246,7 @@ async function cleanupAllVideoCaptions() {
     try {
         console.log('🚀 Starting Caption Cleanup Process...');
         console.log(`🎯 Target: Remove captions not in allowed languages: ${ALLOWED_LANGUAGES.join(', ')}`);
+        console.log('💡 Take a caption snapshot first so deletions can be undone: node ../caption_backup.js backup');
         
         // Ensure we have valid authentication
         console.log('🔑 Ensuring valid authentication...');
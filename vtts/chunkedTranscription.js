@@ -0,0 +1,182 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { transcribeWithCache } = require('./transcriptionCache.js');
+
+/*
+ * Chunked transcription for long audio
+ *
+ * Audio longer than one chunk is cut into chunks of about chunkSeconds, preferably in the middle of a
+ * silence found by analyzeAudio near each cut. Chunks overlap by overlapSeconds so a word is never lost
+ * at a hard cut. Each chunk is transcribed (and cached) on its own, then the results are stitched with
+ * timestamps shifted by the chunk start and the duplicate transcription of the overlap removed.
+ */
+
+// Configuration from environment variables
+const config = {
+    chunkSeconds: parseFloat(process.env.TRANSCRIPTION_CHUNK_SECONDS) || 600, // 10 min of 16 kHz WAV is ~19 MB, under the 25 MB API limit
+    overlapSeconds: parseFloat(process.env.TRANSCRIPTION_CHUNK_OVERLAP) || 5,
+    silenceSearchSeconds: parseFloat(process.env.TRANSCRIPTION_CHUNK_SILENCE_SEARCH) || 60 // How far before a cut to look for silence
+};
+
+/**
+ * Gets the duration of an audio file in seconds
+ */
+function getAudioDuration(audioPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(audioPath, (error, metadata) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            resolve(parseFloat(metadata.format.duration) || 0);
+        });
+    });
+}
+
+/**
+ * Plans the chunk boundaries of an audio file: [{ index, start, end, ownStart, ownEnd }]
+ * start/end is the audio cut (with overlap), ownStart/ownEnd the cut points the overlap is centred on
+ */
+function planChunks(duration, silenceSegments = []) {
+    const boundaries = [0];
+
+    while (duration - boundaries[boundaries.length - 1] > config.chunkSeconds * 1.25) {
+        const previous = boundaries[boundaries.length - 1];
+        const target = previous + config.chunkSeconds;
+
+        // Cut in the middle of the latest silence shortly before the target
+        const silenceMiddles = silenceSegments
+            .filter(silence => silence.end !== null)
+            .map(silence => (silence.start + silence.end) / 2)
+            .filter(middle => middle <= target && middle >= target - config.silenceSearchSeconds && middle > previous);
+
+        boundaries.push(silenceMiddles.length > 0 ? Math.max(...silenceMiddles) : target);
+    }
+    boundaries.push(duration);
+
+    return boundaries.slice(0, -1).map((ownStart, index) => {
+        const ownEnd = boundaries[index + 1];
+        const isLast = index === boundaries.length - 2;
+        return {
+            index,
+            start: Math.max(0, ownStart - (index > 0 ? config.overlapSeconds : 0)),
+            end: isLast ? duration : Math.min(duration, ownEnd + config.overlapSeconds),
+            ownStart,
+            ownEnd: isLast ? Infinity : ownEnd
+        };
+    });
+}
+
+/**
+ * Cuts a chunk out of the audio file (WAV copy, no re-encoding)
+ */
+function extractChunk(audioPath, chunk, chunkPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(audioPath)
+            .setStartTime(chunk.start)
+            .setDuration(chunk.end - chunk.start)
+            .audioCodec('copy')
+            .format('wav')
+            .on('end', () => resolve(chunkPath))
+            .on('error', reject)
+            .save(chunkPath);
+    });
+}
+
+/**
+ * Gets the path of a chunk file next to its audio (audio.wav in a job's scratch workspace gives audio_chunk01.wav)
+ */
+function getChunkPath(audioPath, index) {
+    const number = String(index + 1).padStart(2, '0');
+    const extension = path.extname(audioPath);
+    const base = audioPath.slice(0, -extension.length);
+    return `${base}_chunk${number}${extension}`;
+}
+
+/**
+ * Stitches chunk transcriptions into one transcription
+ * Segments are shifted by their chunk start. A chunk leaves the segments past its cut to the next chunk,
+ * and the next chunk skips the segments centred before the end of the last kept one (the overlap),
+ * so nothing is transcribed twice or lost when the two chunks time a segment slightly differently
+ */
+function stitchTranscriptions(chunkResults) {
+    const segments = [];
+    const languages = {};
+
+    for (const { chunk, transcription } of chunkResults) {
+        languages[transcription.language] = (languages[transcription.language] || 0) + 1;
+        const stitchedUntil = segments.length > 0 ? segments[segments.length - 1].end : 0;
+
+        for (const segment of transcription.segments || []) {
+            const shifted = {
+                ...segment,
+                start: segment.start + chunk.start,
+                end: segment.end + chunk.start,
+                ...(Array.isArray(segment.words) ? {
+                    words: segment.words.map(word => ({ ...word, start: word.start + chunk.start, end: word.end + chunk.start }))
+                } : {})
+            };
+
+            const middle = (shifted.start + shifted.end) / 2;
+            if (middle >= chunk.ownEnd || middle < stitchedUntil) {
+                continue;
+            }
+
+            segments.push(shifted);
+        }
+    }
+
+    // The language detected in most chunks wins
+    const language = Object.entries(languages).sort((a, b) => b[1] - a[1])[0]?.[0] || 'unknown';
+
+    return {
+        text: segments.map(segment => segment.text.trim()).join(' '),
+        segments,
+        language
+    };
+}
+
+/**
+ * Transcribes audio with a backend, in overlapping chunks when it is longer than one chunk
+ * audioAnalysis (from analyzeAudio) provides the silences used to place the cuts
+ */
+async function transcribeLongAudio(backend, audioPath, options = {}, audioAnalysis = null) {
+    const duration = await getAudioDuration(audioPath);
+    const chunks = planChunks(duration, (audioAnalysis && audioAnalysis.silenceSegments) || []);
+
+    if (chunks.length === 1) {
+        return await transcribeWithCache(backend, audioPath, options);
+    }
+
+    console.log(`✂️  Transcribing ${(duration / 60).toFixed(1)} min of audio in ${chunks.length} chunks`);
+
+    const chunkResults = [];
+    for (const chunk of chunks) {
+        const chunkPath = getChunkPath(audioPath, chunk.index);
+        try {
+            await extractChunk(audioPath, chunk, chunkPath);
+            console.log(`🧩 Chunk ${chunk.index + 1}/${chunks.length}: ${chunk.start.toFixed(1)}s - ${chunk.end.toFixed(1)}s`);
+            const transcription = await transcribeWithCache(backend, chunkPath, options);
+            chunkResults.push({ chunk, transcription });
+        } catch (error) {
+            throw new Error(`Chunk ${chunk.index + 1}/${chunks.length} failed: ${error.message}`);
+        } finally {
+            if (fs.existsSync(chunkPath)) {
+                fs.unlinkSync(chunkPath);
+            }
+        }
+    }
+
+    return stitchTranscriptions(chunkResults);
+}
+
+module.exports = {
+    transcribeLongAudio,
+    planChunks,
+    stitchTranscriptions,
+    getAudioDuration,
+    extractChunk,
+    config
+};
@@ -3,16 +3,23 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const { sweepOrphanWorkspaces, config: scratchConfig } = require('./scratchWorkspace.js');
 
 const config = {
     vttOutputFolder: process.env.VTT_OUTPUT_FOLDER || './subtitles'
 };
 
 /**
- * Cleanup script to remove temporary WAV files left behind from failed/interrupted VTT generation
+ * Cleanup script to remove scratch workspaces and temporary WAV files left behind from failed/interrupted VTT generation
+ * Workspaces of running jobs are kept; the _temp.wav files come from versions before scratch workspaces
  */
 function cleanupTempFiles() {
     console.log('🧹 Starting cleanup of temporary files...');
+    
+    console.log(`📂 Checking scratch workspaces: ${scratchConfig.scratchRoot}`);
+    const sweptWorkspaces = sweepOrphanWorkspaces();
+    console.log(`🗑️  Orphaned workspaces removed: ${sweptWorkspaces.length}`);
+    
     console.log(`📂 Checking directory: ${config.vttOutputFolder}`);
     
     if (!fs.existsSync(config.vttOutputFolder)) {
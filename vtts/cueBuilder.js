@@ -0,0 +1,369 @@
+require('dotenv').config();
+const fs = require('fs');
+
+/*
+ * Readability-driven cue segmentation
+ *
+ * Transcription segments (with or without word timestamps) are turned into caption cues that respect
+ * per-language limits: characters per line, number of lines, cue duration and reading speed
+ * (characters per second). Cues preferably end at sentence ends, then at Whisper segment ends,
+ * then at clause punctuation, and are never merged across long pauses.
+ */
+
+// Readability limits per language; languages without a preset use 'default'
+const presets = {
+    default: { maxLineChars: 42, maxLines: 2, minDuration: 1, maxDuration: 7, maxCps: 17, maxGap: 1.5 },
+    en: { maxCps: 20 },
+    // Arabic glyphs are wider on screen and read more slowly in captions
+    ar: { maxLineChars: 38, maxCps: 15 },
+    zh: { maxLineChars: 16, maxCps: 9 },
+    ja: { maxLineChars: 13, maxCps: 4 },
+    ko: { maxLineChars: 16, maxCps: 12 }
+};
+
+// Configuration from environment variables; limits set here override every language preset
+const config = {
+    presetsFile: process.env.CUE_PRESETS_FILE || null, // JSON file of { "lang": { maxLineChars, ... } } presets
+    overrides: {
+        maxLineChars: parseInt(process.env.CUE_MAX_LINE_CHARS) || undefined,
+        maxLines: parseInt(process.env.CUE_MAX_LINES) || undefined,
+        minDuration: parseFloat(process.env.CUE_MIN_DURATION) || undefined,
+        maxDuration: parseFloat(process.env.CUE_MAX_DURATION) || undefined,
+        maxCps: parseFloat(process.env.CUE_MAX_CPS) || undefined
+    },
+    karaoke: process.env.VTT_KARAOKE === 'true' || process.argv.includes('--karaoke') // Inline <00:00:01.200> word timestamps
+};
+
+const sentenceEndRegex = /[.!?؟。！？…]["'»”’)\]]*$/;
+const clauseEndRegex = /[,;:،؛、，—–]["'»”’)\]]*$/;
+
+let filePresets = null;
+
+/**
+ * Gets the readability limits for a language: default preset, language preset, presets file, then env overrides
+ */
+function getPreset(language) {
+    if (filePresets === null) {
+        filePresets = config.presetsFile && fs.existsSync(config.presetsFile)
+            ? JSON.parse(fs.readFileSync(config.presetsFile, 'utf8'))
+            : {};
+    }
+
+    const baseLanguage = (language || '').toLowerCase().split(/[-_]/)[0];
+    const envOverrides = Object.fromEntries(Object.entries(config.overrides).filter(([, value]) => value !== undefined));
+
+    return {
+        ...presets.default,
+        ...filePresets.default,
+        ...presets[baseLanguage],
+        ...filePresets[baseLanguage],
+        ...envOverrides
+    };
+}
+
+/**
+ * Converts seconds to VTT timestamp format (HH:MM:SS.mmm)
+ */
+function secondsToVttTimestamp(seconds) {
+    const totalMilliseconds = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMilliseconds / 3600000);
+    const minutes = Math.floor((totalMilliseconds % 3600000) / 60000);
+    const secs = Math.floor((totalMilliseconds % 60000) / 1000);
+    const milliseconds = totalMilliseconds % 1000;
+
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
+}
+
+/**
+ * Converts a VTT timestamp (HH:MM:SS.mmm or MM:SS.mmm) to seconds
+ */
+function vttTimestampToSeconds(timestamp) {
+    const parts = timestamp.trim().split(':').map(parseFloat);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Gets the usable word timestamps of a segment
+ * Words keep their leading whitespace as emitted by Whisper, so joining them needs no separator
+ * (which also works for languages written without spaces)
+ */
+function getSegmentWords(segment) {
+    if (!Array.isArray(segment.words)) {
+        return [];
+    }
+
+    return segment.words.filter(word =>
+        typeof word.word === 'string' &&
+        word.word.trim().length > 0 &&
+        Number.isFinite(word.start) &&
+        Number.isFinite(word.end)
+    );
+}
+
+/**
+ * Splits a segment without word timestamps into words and spreads the segment time over them by length
+ * Runs of text longer than a line (languages without spaces) are cut into line-sized pieces
+ */
+function interpolateWords(segment, maxLineChars) {
+    const text = (segment.text || '').replace(/\s+/g, ' ');
+    const pieces = [];
+
+    for (const token of text.match(/\s*\S+/g) || []) {
+        const characters = Array.from(token);
+        for (let i = 0; i < characters.length; i += maxLineChars) {
+            pieces.push(characters.slice(i, i + maxLineChars).join(''));
+        }
+    }
+
+    const totalLength = pieces.reduce((sum, piece) => sum + piece.trim().length, 0) || 1;
+    const duration = Math.max(0, segment.end - segment.start);
+    let time = segment.start;
+
+    return pieces.map(piece => {
+        const start = time;
+        time += duration * (piece.trim().length / totalLength);
+        return { word: piece, start, end: time, interpolated: true };
+    });
+}
+
+/**
+ * Joins words back into text
+ */
+function joinWords(words) {
+    return words.map(word => word.word).join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Scores how good a place the end of a word is for a cue or line break
+ */
+function breakStrength(word) {
+    const text = word.word.trim();
+    if (sentenceEndRegex.test(text)) {
+        return 3;
+    }
+    if (word.segmentEnd) {
+        return 2;
+    }
+    if (clauseEndRegex.test(text)) {
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * Finds where to cut an over-long run of words: the strongest boundary that leaves a reasonably
+ * long first cue that still fits the line limits, the latest one on ties, otherwise just before
+ * the word that did not fit
+ */
+function findCueBreak(words, preset) {
+    const minFirstPart = Math.floor(preset.maxLineChars * preset.maxLines * 0.4);
+    let best = words.length - 1;
+    let bestStrength = 0;
+
+    for (let i = 0; i < words.length - 1; i++) {
+        const firstPart = words.slice(0, i + 1);
+        if (joinWords(firstPart).length < minFirstPart || !fitsLines(firstPart, preset)) {
+            continue;
+        }
+        const strength = breakStrength(words[i]);
+        if (strength > 0 && strength >= bestStrength) {
+            best = i;
+            bestStrength = strength;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Splits the words of a cue into at most maxLines lines of at most maxLineChars
+ * Two-line cues are balanced, preferring breaks after punctuation; returns the index of each line's first word
+ */
+function splitLines(words, preset) {
+    const { maxLineChars, maxLines } = preset;
+
+    if (joinWords(words).length <= maxLineChars || maxLines < 2 || words.length < 2) {
+        return [0];
+    }
+
+    if (maxLines === 2) {
+        let bestIndex = 1;
+        let bestOverflow = Infinity;
+        let bestScore = Infinity;
+        for (let i = 1; i < words.length; i++) {
+            const first = joinWords(words.slice(0, i)).length;
+            const second = joinWords(words.slice(i)).length;
+            const overflow = Math.max(0, first - maxLineChars) + Math.max(0, second - maxLineChars);
+            const score = Math.abs(first - second) - breakStrength(words[i - 1]) * 6;
+            // A split that fits always wins over a better balanced one that does not
+            if (overflow < bestOverflow || (overflow === bestOverflow && score < bestScore)) {
+                bestOverflow = overflow;
+                bestScore = score;
+                bestIndex = i;
+            }
+        }
+        return [0, bestIndex];
+    }
+
+    // More than two lines: fill each line in turn
+    const lineStarts = [0];
+    for (let i = 1; i < words.length && lineStarts.length < maxLines; i++) {
+        if (joinWords(words.slice(lineStarts[lineStarts.length - 1], i + 1)).length > maxLineChars) {
+            lineStarts.push(i);
+        }
+    }
+    return lineStarts;
+}
+
+/**
+ * Splits words into lines and returns the text of each line
+ */
+function getLines(words, preset) {
+    const lineStarts = splitLines(words, preset);
+    return lineStarts.map((start, index) => joinWords(words.slice(start, lineStarts[index + 1])));
+}
+
+/**
+ * Checks whether words can be shown as one cue with every line at most maxLineChars long
+ */
+function fitsLines(words, preset) {
+    return getLines(words, preset).every(line => line.length <= preset.maxLineChars);
+}
+
+/**
+ * Builds a cue from a run of words
+ */
+function createCue(words, preset) {
+    return {
+        start: words[0].start,
+        end: Math.max(words[words.length - 1].end, words[0].start),
+        text: joinWords(words),
+        words,
+        lineStarts: splitLines(words, preset)
+    };
+}
+
+/**
+ * Adjusts cue timing for readability: every cue stays up for at least minDuration and long enough to
+ * be read at maxCps, without overlapping the next cue or exceeding maxDuration
+ */
+function adjustCueTiming(cues, preset) {
+    cues.forEach((cue, index) => {
+        const next = cues[index + 1];
+        const readingTime = Math.max(preset.minDuration, cue.text.length / preset.maxCps);
+        const latestEnd = Math.min(cue.start + preset.maxDuration, next ? next.start : Infinity);
+
+        if (cue.end - cue.start < readingTime) {
+            cue.end = Math.max(cue.end, Math.min(cue.start + readingTime, latestEnd));
+        }
+        if (next && cue.end > next.start && next.start > cue.start) {
+            cue.end = next.start;
+        }
+    });
+    return cues;
+}
+
+/**
+ * Builds readable caption cues from transcription segments
+ * options.language selects the preset; any preset limit can also be passed in options
+ */
+function buildCues(segments, options = {}) {
+    const { language = null, ...limits } = options;
+    const preset = { ...getPreset(language), ...limits };
+
+    // One stream of words over all segments, remembering where Whisper ended a segment
+    const words = [];
+    for (const segment of segments || []) {
+        let segmentWords = getSegmentWords(segment);
+        if (segmentWords.length === 0) {
+            segmentWords = interpolateWords(segment, preset.maxLineChars);
+        }
+        segmentWords.forEach((word, index) => {
+            words.push({ ...word, segmentEnd: index === segmentWords.length - 1 });
+        });
+    }
+
+    const cues = [];
+    let current = [];
+    const flush = () => {
+        if (current.length > 0) {
+            cues.push(createCue(current, preset));
+            current = [];
+        }
+    };
+
+    for (const word of words) {
+        if (current.length > 0 && word.start - current[current.length - 1].end > preset.maxGap) {
+            flush();
+        }
+
+        // A single word longer than a line is still shown on its own rather than dropped
+        while (current.length > 0 && (
+            !fitsLines([...current, word], preset) ||
+            word.end - current[0].start > preset.maxDuration
+        )) {
+            const cut = findCueBreak(current, preset);
+            cues.push(createCue(current.slice(0, cut + 1), preset));
+            current = current.slice(cut + 1);
+        }
+
+        current.push(word);
+
+        // End the cue at a sentence end once it has been on screen long enough
+        if (breakStrength(word) === 3 && word.end - current[0].start >= preset.minDuration) {
+            flush();
+        }
+    }
+    flush();
+
+    return adjustCueTiming(cues, preset);
+}
+
+/**
+ * Renders the text of a cue with its line breaks
+ * With karaoke enabled, real word timestamps are added before every word after the first
+ */
+function renderCueText(cue, options = {}) {
+    const { karaoke = config.karaoke } = options;
+    const words = cue.words || [];
+
+    if (words.length === 0) {
+        return cue.text;
+    }
+
+    const useTimestamps = karaoke && words.length > 1 && words.every(word => !word.interpolated);
+    const lineStarts = new Set((cue.lineStarts || [0]).slice(1));
+
+    // WebVTT requires inline timestamps to increase and to stay inside the cue, so others are left out
+    let lastTimestamp = cue.start;
+    let text = '';
+
+    words.forEach((word, index) => {
+        const wordText = word.word.trim();
+        let separator = '';
+        if (index > 0) {
+            separator = lineStarts.has(index) ? '\n' : (/^\s/.test(word.word) ? ' ' : '');
+        }
+
+        let timestamp = '';
+        if (useTimestamps && index > 0 && word.start > lastTimestamp && word.start < cue.end) {
+            lastTimestamp = word.start;
+            timestamp = `<${secondsToVttTimestamp(word.start)}>`;
+        }
+
+        text += `${separator}${timestamp}${wordText}`;
+    });
+
+    return text;
+}
+
+module.exports = {
+    buildCues,
+    renderCueText,
+    getPreset,
+    getSegmentWords,
+    secondsToVttTimestamp,
+    vttTimestampToSeconds,
+    presets,
+    config
+};
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { findPlaceholderMarkers } = require('../subtitle_placeholders.js');
+
+/*
+ * Failed caption jobs
+ *
+ * When transcription or translation fails, no VTT is written. The failure is recorded instead in
+ * <quarantineFolder>/<video>.errors.json (one entry per language, 'all' when the whole video failed)
+ * and removed again once the video succeeds. VTT files from earlier runs that contain placeholder
+ * error text are moved into the quarantine folder by the scan command so nothing uploads them.
+ */
+
+// Configuration from environment variables
+const config = {
+    quarantineFolder: process.env.QUARANTINE_FOLDER || './quarantine',
+    vttOutputFolder: process.env.VTT_OUTPUT_FOLDER || './subtitles',
+    reportFile: process.env.QUARANTINE_REPORT_FILE || './quarantine_report.json'
+};
+
+/**
+ * Gets the path of a video's error record
+ */
+function getRecordPath(videoName) {
+    return path.join(config.quarantineFolder, `${videoName}.errors.json`);
+}
+
+/**
+ * Reads a video's error record, or null when the video has no recorded failure
+ */
+function readRecord(videoName) {
+    const recordPath = getRecordPath(videoName);
+    if (!fs.existsSync(recordPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+    } catch (error) {
+        console.log(`⚠️  Replacing unreadable error record ${path.basename(recordPath)}`);
+        return null;
+    }
+}
+
+/**
+ * Records a failed job: { video, videoId, language, stage, error, source }
+ * Repeated failures of the same job increase its attempt count
+ */
+function recordFailure(failure) {
+    const { video, videoId = null, language = null, stage, error, source = null } = failure;
+    const languageKey = language || 'all';
+
+    fs.mkdirSync(config.quarantineFolder, { recursive: true });
+    const record = readRecord(video) || { video, videoId, failures: {} };
+    const previous = record.failures[languageKey];
+
+    record.failures[languageKey] = {
+        stage,
+        error: error instanceof Error ? error.message : String(error),
+        source,
+        attempts: previous ? previous.attempts + 1 : 1,
+        firstFailedAt: previous ? previous.firstFailedAt : new Date().toISOString(),
+        lastFailedAt: new Date().toISOString()
+    };
+
+    fs.writeFileSync(getRecordPath(video), JSON.stringify(record, null, 2));
+    console.log(`🚧 Recorded ${stage} failure for ${video}${language ? ` (${language})` : ''} in ${config.quarantineFolder}`);
+}
+
+/**
+ * Clears the recorded failure of a job once it succeeded (all languages when language is omitted)
+ */
+function clearFailure(videoName, language = null) {
+    const record = readRecord(videoName);
+    if (!record) {
+        return;
+    }
+
+    if (language) {
+        delete record.failures[language];
+        delete record.failures.all;
+    } else {
+        record.failures = {};
+    }
+
+    if (Object.keys(record.failures).length === 0) {
+        fs.unlinkSync(getRecordPath(videoName));
+    } else {
+        fs.writeFileSync(getRecordPath(videoName), JSON.stringify(record, null, 2));
+    }
+}
+
+/**
+ * Lists every recorded failure as flat entries
+ */
+function listFailures() {
+    if (!fs.existsSync(config.quarantineFolder)) {
+        return [];
+    }
+
+    return fs.readdirSync(config.quarantineFolder)
+        .filter(file => file.endsWith('.errors.json'))
+        .map(file => readRecord(file.replace(/\.errors\.json$/, '')))
+        .filter(Boolean)
+        .flatMap(record => Object.entries(record.failures).map(([language, failure]) => ({
+            video: record.video,
+            videoId: record.videoId,
+            language,
+            ...failure
+        })));
+}
+
+/**
+ * Moves VTT files containing placeholder error text from the subtitles folder into quarantine
+ */
+function quarantinePlaceholderFiles(folder = config.vttOutputFolder) {
+    if (!fs.existsSync(folder)) {
+        return [];
+    }
+
+    const quarantined = [];
+    for (const file of fs.readdirSync(folder).filter(name => name.toLowerCase().endsWith('.vtt'))) {
+        const filePath = path.join(folder, file);
+        const markers = findPlaceholderMarkers(fs.readFileSync(filePath, 'utf8'));
+        if (markers.length === 0) {
+            continue;
+        }
+
+        fs.mkdirSync(config.quarantineFolder, { recursive: true });
+        fs.renameSync(filePath, path.join(config.quarantineFolder, file));
+
+        const videoIdMatch = file.match(/^\[([^\]]+)\]_/);
+        const languageMatch = file.match(/_([a-z]{2,3}(?:-[A-Za-z0-9]+)*)\.vtt$/);
+        recordFailure({
+            video: file.replace(/(_[a-z]{2,3}(?:-[A-Za-z0-9]+)*)?\.vtt$/, ''),
+            videoId: videoIdMatch ? videoIdMatch[1] : null,
+            language: languageMatch ? languageMatch[1] : null,
+            stage: 'placeholder',
+            error: `Placeholder text in ${file}: ${markers.join(', ')}`,
+            source: file
+        });
+        quarantined.push({ file, markers });
+    }
+
+    return quarantined;
+}
+
+/**
+ * Writes and prints the report of all recorded failures, grouped by stage
+ */
+function writeReport() {
+    const failures = listFailures();
+    const byStage = {};
+    failures.forEach(failure => {
+        byStage[failure.stage] = (byStage[failure.stage] || 0) + 1;
+    });
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        quarantineFolder: config.quarantineFolder,
+        totalFailures: failures.length,
+        byStage,
+        failures
+    };
+    fs.writeFileSync(config.reportFile, JSON.stringify(report, null, 2));
+
+    console.log(`\n📊 Failed caption jobs: ${failures.length}`);
+    Object.entries(byStage).forEach(([stage, count]) => {
+        console.log(`   ${stage}: ${count}`);
+    });
+    failures.forEach(failure => {
+        console.log(`   ❌ ${failure.video} (${failure.language}) - ${failure.stage}: ${failure.error} [${failure.attempts} attempt(s)]`);
+    });
+    console.log(`📄 Report saved to: ${config.reportFile}`);
+
+    return report;
+}
+
+// Execute if this file is run directly
+if (require.main === module) {
+    const command = process.argv[2];
+
+    if (command === 'scan') {
+        const quarantined = quarantinePlaceholderFiles(process.argv[3]);
+        console.log(`🚧 Moved ${quarantined.length} VTT files with placeholder text to ${config.quarantineFolder}`);
+        writeReport();
+    } else if (command === 'report') {
+        writeReport();
+    } else {
+        console.log('Usage:');
+        console.log('  node failureQuarantine.js scan [folder]   Quarantine VTT files containing placeholder text, then report');
+        console.log('  node failureQuarantine.js report          Report all failed transcription/translation jobs');
+        process.exit(command ? 1 : 0);
+    }
+}
+
+module.exports = {
+    recordFailure,
+    clearFailure,
+    listFailures,
+    quarantinePlaceholderFiles,
+    writeReport,
+    config
+};
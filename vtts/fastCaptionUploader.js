@@ -2,6 +2,7 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { getAccessToken, makeAuthenticatedRequest } = require('../auth.js');
+const { assertNoPlaceholders } = require('../subtitle_placeholders.js');
 
 // Configuration
 const config = {
@@ -25,6 +26,7 @@ async function uploadCaption(videoId, vttFilePath, language) {
         }
         
         const vttContent = fs.readFileSync(vttFilePath);
+        assertNoPlaceholders(vttContent, filename);
         
         const FormData = require('form-data');
         const formData = new FormData();
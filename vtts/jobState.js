@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Caption job state
+ *
+ * Every video has a job record in <jobStateFolder>/<video>.job.json with the stages it completed:
+ *   stages      extracted, analyzed, detected (source language), transcribed (source transcription)
+ *   languages   per caption language: transcribed or translated (with the result), written, uploaded
+ * multiLanguageVttGenerator.js resumes a video at its first incomplete stage, so a crash on the fourth
+ * language does not redo the first three. vttTranslator.js and multiLanguageCaptionUploader.js record
+ * their stages in the same records. Transcriptions are kept only until their VTT is written.
+ */
+
+// Configuration from environment variables
+const config = {
+    jobStateFolder: process.env.JOB_STATE_FOLDER || './job_state'
+};
+
+/**
+ * Gets the path of a video's job record
+ */
+function getJobPath(videoName) {
+    return path.join(config.jobStateFolder, `${videoName}.job.json`);
+}
+
+/**
+ * Reads a video's job record, or null when the video has none
+ */
+function readJob(videoName) {
+    const jobPath = getJobPath(videoName);
+    if (!fs.existsSync(jobPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(jobPath, 'utf8'));
+    } catch (error) {
+        console.log(`⚠️  Ignoring unreadable job record ${path.basename(jobPath)}`);
+        return null;
+    }
+}
+
+/**
+ * Writes a job record (through a temporary file, so an interrupted write never leaves a broken record)
+ */
+function saveJob(job) {
+    fs.mkdirSync(config.jobStateFolder, { recursive: true });
+    job.updatedAt = new Date().toISOString();
+
+    const jobPath = getJobPath(job.video);
+    fs.writeFileSync(`${jobPath}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${jobPath}.tmp`, jobPath);
+    return job;
+}
+
+/**
+ * Starts a new job record for a video, replacing any previous one
+ */
+function startJob(videoName, details = {}) {
+    const now = new Date().toISOString();
+    return saveJob({
+        video: videoName,
+        videoId: details.videoId || null,
+        source: details.source || null,
+        createdAt: now,
+        updatedAt: now,
+        stages: {},
+        languages: {}
+    });
+}
+
+/**
+ * Loads a video's job record to resume it, or starts one
+ */
+function loadJob(videoName, details = {}) {
+    const job = readJob(videoName);
+    if (!job) {
+        return startJob(videoName, details);
+    }
+
+    const completed = [
+        ...Object.keys(job.stages),
+        ...Object.entries(job.languages).flatMap(([language, stages]) => Object.keys(stages).map(stage => `${language}:${stage}`))
+    ];
+    if (completed.length > 0) {
+        console.log(`⏩ Resuming job ${videoName} (completed: ${completed.join(', ')})`);
+    }
+    return job;
+}
+
+/**
+ * Marks a video stage complete with its data and saves the record
+ */
+function completeStage(job, stage, data = {}) {
+    job.stages[stage] = { completedAt: new Date().toISOString(), ...data };
+    return saveJob(job);
+}
+
+/**
+ * Marks a stage of one language complete with its data and saves the record
+ * Once the language is written, the transcription kept for resuming it is dropped
+ */
+function completeLanguageStage(job, language, stage, data = {}) {
+    const stages = job.languages[language] = job.languages[language] || {};
+    stages[stage] = { completedAt: new Date().toISOString(), ...data };
+
+    if (stage === 'written') {
+        Object.values(stages).forEach(entry => {
+            delete entry.transcription;
+        });
+    }
+    return saveJob(job);
+}
+
+/**
+ * Gets the data of a completed language stage, or null
+ */
+function getLanguageStage(job, language, stage) {
+    return (job.languages[language] && job.languages[language][stage]) || null;
+}
+
+/**
+ * Records a language stage in a video's record without holding the job (translator and uploaders)
+ */
+function recordLanguageStage(videoName, language, stage, data = {}, details = {}) {
+    const job = readJob(videoName) || startJob(videoName, details);
+    return completeLanguageStage(job, language, stage, data);
+}
+
+/**
+ * Checks whether every given language of a job is written and its VTT file still exists
+ */
+function isJobComplete(job, languages) {
+    return Boolean(job) && languages.every(language => {
+        const written = getLanguageStage(job, language, 'written');
+        return written && fs.existsSync(written.vttPath);
+    });
+}
+
+/**
+ * Drops the source transcription of a job once every given language is written
+ */
+function compactJob(job, languages) {
+    if (isJobComplete(job, languages) && job.stages.transcribed) {
+        delete job.stages.transcribed.transcription;
+        saveJob(job);
+    }
+    return job;
+}
+
+/**
+ * Lists all job records
+ */
+function listJobs() {
+    if (!fs.existsSync(config.jobStateFolder)) {
+        return [];
+    }
+
+    return fs.readdirSync(config.jobStateFolder)
+        .filter(file => file.endsWith('.job.json'))
+        .map(file => readJob(file.replace(/\.job\.json$/, '')))
+        .filter(Boolean);
+}
+
+/**
+ * Deletes a video's job record so its next run starts over
+ */
+function resetJob(videoName) {
+    const jobPath = getJobPath(videoName);
+    if (fs.existsSync(jobPath)) {
+        fs.unlinkSync(jobPath);
+        return true;
+    }
+    return false;
+}
+
+// Execute if this file is run directly
+if (require.main === module) {
+    const command = process.argv[2];
+    const videoName = process.argv[3];
+
+    if (command === 'list') {
+        const jobs = listJobs();
+        console.log(`📋 Job records in ${config.jobStateFolder}: ${jobs.length}`);
+        jobs.forEach(job => {
+            const languages = Object.entries(job.languages)
+                .map(([language, stages]) => `${language}: ${Object.keys(stages).join('/')}`)
+                .join(', ');
+            console.log(`   ${job.video} - ${Object.keys(job.stages).join(', ') || 'no stages'}${languages ? ` | ${languages}` : ''}`);
+        });
+    } else if (command === 'show' && videoName) {
+        const job = readJob(videoName);
+        console.log(job ? JSON.stringify(job, null, 2) : `❌ No job record for ${videoName}`);
+    } else if (command === 'reset' && videoName) {
+        console.log(resetJob(videoName) ? `🗑️  Reset job ${videoName}` : `❌ No job record for ${videoName}`);
+    } else {
+        console.log('Usage:');
+        console.log('  node jobState.js list            List every job and its completed stages');
+        console.log('  node jobState.js show <video>    Print the job record of a video ([videoId]_title)');
+        console.log('  node jobState.js reset <video>   Delete the job record so the video starts over');
+        process.exit(command ? 1 : 0);
+    }
+}
+
+module.exports = {
+    readJob,
+    loadJob,
+    startJob,
+    completeStage,
+    completeLanguageStage,
+    getLanguageStage,
+    recordLanguageStage,
+    isJobComplete,
+    compactJob,
+    listJobs,
+    resetJob,
+    config
+};
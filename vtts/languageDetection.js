@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { transcribeWithCache } = require('./transcriptionCache.js');
+const { getAudioDuration, extractChunk } = require('./chunkedTranscription.js');
+
+/*
+ * Spoken language detection
+ *
+ * A few short windows are sampled from the audio, preferably inside speech regions found by
+ * analyzeAudio (or away from silences when the audio was not classified). Each window is transcribed
+ * with language detection (language: null) and the language detected in most windows wins, ties going
+ * to the language with the most transcribed text. Sample transcriptions are cached like any other.
+ */
+
+// Configuration from environment variables
+const config = {
+    sourceLanguage: process.env.TRANSLATION_SOURCE_LANGUAGE || 'auto', // 'auto' = detect, or a fixed language code
+    samples: parseInt(process.env.LANGUAGE_DETECTION_SAMPLES) || 3,
+    sampleSeconds: parseFloat(process.env.LANGUAGE_DETECTION_SAMPLE_SECONDS) || 30 // Whisper detects from the first 30 s
+};
+
+// Whisper reports language names instead of codes in some outputs (e.g. the OpenAI API's "arabic")
+const languageNameCodes = {
+    arabic: 'ar', chinese: 'zh', dutch: 'nl', english: 'en', french: 'fr', german: 'de', hebrew: 'he',
+    hindi: 'hi', italian: 'it', japanese: 'ja', korean: 'ko', persian: 'fa', polish: 'pl', portuguese: 'pt',
+    russian: 'ru', spanish: 'es', turkish: 'tr', ukrainian: 'uk', urdu: 'ur'
+};
+
+/**
+ * Normalizes a detected language to a lower-case code, or null when nothing was detected
+ */
+function normalizeLanguageCode(language) {
+    const value = String(language || '').trim().toLowerCase();
+    if (!value || value === 'unknown' || value === 'auto') {
+        return null;
+    }
+    return languageNameCodes[value] || value;
+}
+
+/**
+ * Seconds of [start, end] covered by the given segments (open-ended silences run to the end)
+ */
+function coveredSeconds(start, end, segments) {
+    return segments.reduce((sum, segment) => {
+        const overlap = Math.min(end, segment.end ?? end) - Math.max(start, segment.start);
+        return sum + Math.max(0, overlap);
+    }, 0);
+}
+
+/**
+ * Picks the sample windows [{ start, end }] of an audio file
+ * Candidates are spread over the audio; the ones with the most speech (or least silence) are used
+ */
+function pickSampleWindows(duration, audioAnalysis = null, count = config.samples, sampleSeconds = config.sampleSeconds) {
+    if (duration <= sampleSeconds) {
+        return [{ start: 0, end: duration }];
+    }
+
+    const speechRegions = ((audioAnalysis && audioAnalysis.regions) || []).filter(region => region.type === 'speech');
+    const silenceSegments = (audioAnalysis && audioAnalysis.silenceSegments) || [];
+    const candidateCount = Math.max(count, Math.min(count * 3, Math.floor(duration / sampleSeconds)));
+
+    const candidates = Array.from({ length: candidateCount }, (_, index) => {
+        const start = (duration - sampleSeconds) * (index + 0.5) / candidateCount;
+        const end = start + sampleSeconds;
+        const score = speechRegions.length > 0
+            ? coveredSeconds(start, end, speechRegions)
+            : sampleSeconds - coveredSeconds(start, end, silenceSegments);
+        return { start, end, score };
+    });
+
+    return candidates
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count)
+        .sort((a, b) => a.start - b.start)
+        .map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Votes on the sample results [{ language, text }]: most windows first, then most text
+ */
+function voteLanguage(sampleResults) {
+    const votes = {};
+    sampleResults.forEach(({ language, text }) => {
+        const code = normalizeLanguageCode(language);
+        if (!code) {
+            return;
+        }
+        votes[code] = votes[code] || { windows: 0, characters: 0 };
+        votes[code].windows++;
+        votes[code].characters += (text || '').replace(/\s+/g, '').length;
+    });
+
+    const ranked = Object.entries(votes).sort((a, b) =>
+        b[1].windows - a[1].windows || b[1].characters - a[1].characters
+    );
+
+    return {
+        language: ranked.length > 0 ? ranked[0][0] : null,
+        votes: Object.fromEntries(ranked.map(([code, vote]) => [code, vote.windows]))
+    };
+}
+
+/**
+ * Detects the spoken language of an audio file with a transcription backend
+ * Resolves to { language, method, votes } where method is 'configured' when TRANSLATION_SOURCE_LANGUAGE
+ * is set, 'detected' otherwise; throws when no sample window yields a language
+ */
+async function detectSourceLanguage(backend, audioPath, audioAnalysis = null) {
+    if (config.sourceLanguage !== 'auto') {
+        return { language: normalizeLanguageCode(config.sourceLanguage), method: 'configured', votes: {} };
+    }
+
+    const duration = await getAudioDuration(audioPath);
+    const windows = pickSampleWindows(duration, audioAnalysis);
+    console.log(`🔎 Detecting spoken language from ${windows.length} sample(s) of ${Math.round(windows[0].end - windows[0].start)}s...`);
+
+    const extension = path.extname(audioPath);
+    const base = audioPath.slice(0, -extension.length);
+    const sampleResults = [];
+
+    for (const [index, window] of windows.entries()) {
+        const samplePath = `${base}_sample${String(index + 1).padStart(2, '0')}${extension}`;
+        try {
+            await extractChunk(audioPath, window, samplePath);
+            const transcription = await transcribeWithCache(backend, samplePath, { language: null, prompt: null });
+            sampleResults.push({ language: transcription.language, text: transcription.text });
+        } catch (error) {
+            console.log(`⚠️  Language sample ${index + 1} failed: ${error.message}`);
+        } finally {
+            if (fs.existsSync(samplePath)) {
+                fs.unlinkSync(samplePath);
+            }
+        }
+    }
+
+    const { language, votes } = voteLanguage(sampleResults);
+    if (!language) {
+        throw new Error('Could not detect the spoken language from any sample window');
+    }
+
+    console.log(`🗣️  Detected source language: ${language} (${Object.entries(votes).map(([code, count]) => `${code}: ${count}`).join(', ')})`);
+    return { language, method: 'detected', votes };
+}
+
+// Execute if this file is run directly
+if (require.main === module) {
+    const audioPath = process.argv[2];
+
+    if (!audioPath) {
+        console.log('Usage: node languageDetection.js <audio-file>   Detect the spoken language of a file');
+        process.exit(1);
+    }
+
+    const { resolveBackend } = require('./transcriptionBackends.js');
+    resolveBackend()
+        .then(backend => {
+            if (!backend) {
+                throw new Error('No transcription backend available');
+            }
+            return detectSourceLanguage(backend, audioPath);
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    detectSourceLanguage,
+    pickSampleWindows,
+    voteLanguage,
+    normalizeLanguageCode,
+    config
+};
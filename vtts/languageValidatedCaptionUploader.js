@@ -4,6 +4,7 @@ const path = require('path');
 const axios = require('axios');
 const FormData = require('form-data');
 const { getAccessToken, makeAuthenticatedRequest } = require('../auth.js');
+const { assertNoPlaceholders } = require('../subtitle_placeholders.js');
 
 // Configuration from environment variables
 const config = {
@@ -242,6 +243,9 @@ async function validateAndUploadCaption(filePath) {
         
         const vttContent = fs.readFileSync(filePath, 'utf8');
         
+        // Refuse placeholder text before anything touches the remote captions (DELETE_EXISTING_CAPTIONS)
+        assertNoPlaceholders(vttContent, filename);
+        
         // Extract first 5 words for language detection
         const firstWords = extractFirstWords(vttContent, 5);
         if (!firstWords) {
@@ -381,6 +385,7 @@ async function uploadCaption(videoId, vttFilePath, language = 'en') {
         
         // Read the VTT file
         const vttContent = fs.readFileSync(vttFilePath);
+        assertNoPlaceholders(vttContent, filename);
         
         // Create form data
         const formData = new FormData();
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Inputs the caption pipeline accepts: full video downloads and audio-only downloads
+const videoExtensions = ['.mp4'];
+const audioExtensions = ['.m4a', '.opus', '.mp3'];
+const mediaExtensions = [...videoExtensions, ...audioExtensions];
+
+/**
+ * Checks whether a filename is a video or audio file the generators can transcribe
+ */
+function isMediaFile(filename) {
+    return mediaExtensions.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Checks whether a filename is an audio-only download
+ */
+function isAudioFile(filename) {
+    return audioExtensions.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Removes the media extension from a filename ([videoId]_title.m4a -> [videoId]_title)
+ */
+function stripMediaExtension(filename) {
+    return isMediaFile(filename) ? filename.slice(0, -path.extname(filename).length) : filename;
+}
+
+/**
+ * Lists the media files of a folder, one per video
+ * When both a video and an audio-only download exist, the audio file is used since it is smaller
+ */
+function findMediaFiles(folder) {
+    const filesByStem = new Map();
+
+    fs.readdirSync(folder)
+        .filter(isMediaFile)
+        .sort()
+        .forEach(file => {
+            const stem = stripMediaExtension(file);
+            if (!filesByStem.has(stem) || isAudioFile(file)) {
+                filesByStem.set(stem, file);
+            }
+        });
+
+    return [...filesByStem.values()].map(file => path.join(folder, file));
+}
+
+module.exports = {
+    videoExtensions,
+    audioExtensions,
+    mediaExtensions,
+    isMediaFile,
+    isAudioFile,
+    stripMediaExtension,
+    findMediaFiles
+};
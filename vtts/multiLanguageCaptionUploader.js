@@ -3,7 +3,9 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { getAccessToken } = require('../auth.js');
+const { assertNoPlaceholders } = require('../subtitle_placeholders.js');
 const { parseVideoFilename, languageMapping } = require('./multiLanguageVttGenerator.js');
+const { recordLanguageStage } = require('./jobState.js');
 
 // Configuration from environment variables
 const config = {
@@ -63,6 +65,7 @@ async function uploadCaptionForLanguage(videoId, vttFilePath, languageCode, acce
         
         // Read the VTT file
         const vttContent = fs.readFileSync(vttFilePath);
+        assertNoPlaceholders(vttContent, filename);
         
         // Create form data
         const FormData = require('form-data');
@@ -86,6 +89,8 @@ async function uploadCaptionForLanguage(videoId, vttFilePath, languageCode, acce
         if (response.status === 200 || response.status === 201) {
             const successAction = captionsExist ? 'updated' : 'uploaded';
             console.log(`✅ ${languageInfo.name} caption ${successAction} successfully for video ${videoId}`);
+            const videoName = filename.endsWith(`_${languageCode}.vtt`) ? filename.slice(0, -`_${languageCode}.vtt`.length) : path.basename(filename, '.vtt');
+            recordLanguageStage(videoName, languageCode, 'uploaded', { videoId, method }, { videoId, source: filename });
             return { 
                 success: true, 
                 videoId, 
@@ -2,26 +2,33 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
-const OpenAI = require('openai');
 const axios = require('axios');
-const { spawn, exec } = require('child_process');
-const { promisify } = require('util');
 const { extractVideoIdFromFilename } = require('./videoDownloader.js');
-
-const execAsync = promisify(exec);
+const { stripMediaExtension, findMediaFiles } = require('./mediaFiles.js');
+const { hasEnoughFreeDiskSpace } = require('./retentionPolicy.js');
+const { resolveBackend, listBackends, getBackendNameForVideo, config: backendConfig } = require('./transcriptionBackends.js');
+const { transcribeLongAudio } = require('./chunkedTranscription.js');
+const { getVocabulary, buildInitialPrompt, applyCorrections } = require('./vocabulary.js');
+const { buildCues, renderCueText, secondsToVttTimestamp } = require('./cueBuilder.js');
+const { analyzeAudio, addMusicCues } = require('./audioClassifier.js');
+const { filterTranscription, writeQaLog } = require('./transcriptFilter.js');
+const { recordFailure, clearFailure, config: quarantineConfig } = require('./failureQuarantine.js');
+const { detectSourceLanguage } = require('./languageDetection.js');
+const { loadJob, startJob, completeStage, completeLanguageStage, getLanguageStage, compactJob } = require('./jobState.js');
+const { createWorkspace } = require('./scratchWorkspace.js');
 
 // Configuration from environment variables
 const config = {
     outputFolder: process.env.OUTPUT_FOLDER || './downloads',
     vttOutputFolder: process.env.VTT_OUTPUT_FOLDER || './subtitles',
-    openaiApiKey: process.env.OPENAI_API_KEY,
     openrouterApiKey: process.env.OPENROUTER_API_KEY,
     openrouterModel: process.env.OPENROUTER_MODEL || 'anthropic/claude-3-haiku',
     whisperModel: process.env.WHISPER_MODEL || 'base',
     silenceThreshold: parseFloat(process.env.SILENCE_THRESHOLD) || 0.01,
     musicDetectionEnabled: process.env.MUSIC_DETECTION_ENABLED === 'true',
     captionLanguages: (process.env.CAPTION_LANGUAGES || 'ar,en,fr,es,it').split(','),
-    translationMethod: process.env.TRANSLATION_METHOD || 'whisper' // 'whisper' or 'translate'
+    translationMethod: process.env.TRANSLATION_METHOD || 'whisper', // 'whisper' (English via Whisper translation) or 'translate' (text translation only)
+    rerender: process.argv.includes('--rerender') // Regenerate existing VTT files (transcriptions come from the cache)
 };
 
 // Language mapping for Whisper and API.video
@@ -33,29 +40,11 @@ const languageMapping = {
     'it': { name: 'Italian', whisperCode: 'it', apiVideoCode: 'it', nativeName: 'Italiano' }
 };
 
-// Initialize OpenAI client if API key is provided
-let openai = null;
-if (config.openaiApiKey) {
-    openai = new OpenAI({
-        apiKey: config.openaiApiKey
-    });
-}
-
 /**
- * Checks if local Whisper is installed
+ * Gets the language information of a code, also for detected source languages that are not caption languages
  */
-async function checkWhisperInstalled() {
-    try {
-        await execAsync('which whisper');
-        return true;
-    } catch (error) {
-        try {
-            await execAsync('whisper --help');
-            return true;
-        } catch (error2) {
-            return false;
-        }
-    }
+function getLanguageInfo(languageCode) {
+    return languageMapping[languageCode] || { name: languageCode, whisperCode: languageCode, apiVideoCode: languageCode, nativeName: languageCode };
 }
 
 /**
@@ -69,30 +58,18 @@ function ensureVttOutputDirectory() {
     return config.vttOutputFolder;
 }
 
-/**
- * Converts seconds to VTT timestamp format (HH:MM:SS.mmm)
- */
-function secondsToVttTimestamp(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    const milliseconds = Math.floor((seconds % 1) * 1000);
-    
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
-}
-
 /**
  * Extracts video information from filename
  */
 function parseVideoFilename(filename) {
     const videoId = extractVideoIdFromFilename(filename);
     if (videoId) {
-        // New format: [videoId]_title.mp4
-        const titlePart = filename.replace(/^\[[^\]]+\]_/, '').replace(/\.mp4$/, '');
+        // New format: [videoId]_title.mp4 (or an audio-only download such as [videoId]_title.m4a)
+        const titlePart = stripMediaExtension(filename).replace(/^\[[^\]]+\]_/, '');
         return { videoId, title: titlePart, hasVideoId: true };
     } else {
         // Old format: title.mp4
-        const titlePart = filename.replace(/\.mp4$/, '');
+        const titlePart = stripMediaExtension(filename);
         return { videoId: null, title: titlePart, hasVideoId: false };
     }
 }
@@ -122,203 +99,67 @@ async function extractAudio(videoPath, outputAudioPath) {
 }
 
 /**
- * Analyzes audio for silent segments and music detection
+ * Transcribes audio spoken in a specific language with the given backend
+ * With task 'translate' Whisper translates the speech to English instead (Whisper translates to English only)
+ * The vocabulary (see vocabulary.js) is passed as initial prompt and its corrections are applied to the result
+ * Long audio is transcribed in chunks cut at the silences of audioAnalysis
+ * Throws when the backend fails; the caller records the failure and goes on with the other languages
  */
-async function analyzeAudio(audioPath) {
-    return new Promise((resolve, reject) => {
-        console.log(`🔍 Analyzing audio for silence and music detection...`);
-        
-        const silenceSegments = [];
-        const musicSegments = [];
-        
-        // Use ffmpeg to detect silence
-        const silenceDetection = ffmpeg(audioPath)
-            .audioFilters([
-                `silencedetect=noise=${config.silenceThreshold}:duration=1.0`
-            ])
-            .format('null')
-            .on('stderr', (stderrLine) => {
-                // Parse silence detection output
-                const silenceStartMatch = stderrLine.match(/silence_start: (\d+\.?\d*)/);
-                const silenceEndMatch = stderrLine.match(/silence_end: (\d+\.?\d*)/);
-                
-                if (silenceStartMatch) {
-                    const startTime = parseFloat(silenceStartMatch[1]);
-                    silenceSegments.push({ start: startTime, end: null });
-                }
-                
-                if (silenceEndMatch && silenceSegments.length > 0) {
-                    const endTime = parseFloat(silenceEndMatch[1]);
-                    const lastSegment = silenceSegments[silenceSegments.length - 1];
-                    if (lastSegment.end === null) {
-                        lastSegment.end = endTime;
-                    }
-                }
-            })
-            .on('end', () => {
-                console.log(`📊 Found ${silenceSegments.length} silence segments`);
-                
-                if (config.musicDetectionEnabled) {
-                    console.log(`🎼 Music detection enabled (simplified heuristic)`);
-                }
-                
-                resolve({ silenceSegments, musicSegments });
-            })
-            .on('error', (err) => {
-                console.error(`❌ Error analyzing audio:`, err.message);
-                reject(err);
-            });
-        
-        // Save to null (we just want the analysis, not the output)
-        silenceDetection.save('/dev/null');
-    });
+async function transcribeForLanguage(backend, audioPath, languageCode, vocabulary, audioAnalysis, task = 'transcribe') {
+    const languageName = getLanguageInfo(languageCode).name;
+    const outputLanguage = task === 'translate' ? 'en' : languageCode;
+    console.log(task === 'translate'
+        ? `🎤 Translating ${languageName} speech to English with ${backend.name} (${config.whisperModel} model)...`
+        : `🎤 Transcribing with ${backend.name} (${config.whisperModel} model, ${languageName})...`);
+    
+    try {
+        const transcription = await transcribeLongAudio(backend, audioPath, {
+            language: getLanguageInfo(languageCode).whisperCode,
+            task,
+            prompt: buildInitialPrompt(vocabulary, outputLanguage)
+        }, audioAnalysis);
+        console.log(`✅ ${task === 'translate' ? 'Translation' : 'Transcription'} loaded for ${getLanguageInfo(outputLanguage).name}`);
+        return applyCorrections({ ...transcription, language: outputLanguage }, vocabulary.corrections).transcription;
+    } catch (error) {
+        throw new Error(`${backend.name} ${task === 'translate' ? 'translation' : 'transcription'} failed for ${languageName}: ${error.message}`);
+    }
 }
 
 /**
- * Transcribes audio using local Whisper for a specific language
+ * Chooses how a caption language is produced from the spoken language:
+ * 'transcription' for the spoken language itself, 'whisper-translation' for English with TRANSLATION_METHOD=whisper
+ * (Whisper's translate task only targets English), 'text-translation' of the source transcription otherwise
  */
-async function transcribeWithLocalWhisperForLanguage(audioPath, languageCode) {
-    console.log(`🎤 Transcribing with local Whisper (${config.whisperModel} model, ${languageMapping[languageCode].name})...`);
-    
-    const whisperInstalled = await checkWhisperInstalled();
-    
-    if (!whisperInstalled) {
-        console.log(`❌ Local Whisper not found.`);
-        return {
-            text: `[Local Whisper not installed for ${languageMapping[languageCode].name}]`,
-            segments: [{
-                start: 0,
-                end: 10,
-                text: `[Local Whisper not installed for ${languageMapping[languageCode].name}]`
-            }]
-        };
+function chooseRoute(languageCode, sourceCode) {
+    if (languageCode === sourceCode) {
+        return 'transcription';
     }
-    
-    return new Promise((resolve, reject) => {
-        const outputDir = path.dirname(audioPath);
-        const baseFilename = path.basename(audioPath, path.extname(audioPath));
-        const jsonOutputPath = path.join(outputDir, `${baseFilename}_${languageCode}.json`);
-        
-        console.log(`📝 Running whisper transcription for ${languageMapping[languageCode].name}...`);
-        
-        // Run whisper command with specific language
-        const whisperArgs = [
-            audioPath,
-            '--model', config.whisperModel,
-            '--output_format', 'json',
-            '--output_dir', outputDir,
-            '--language', languageMapping[languageCode].whisperCode,
-            '--task', 'transcribe'
-        ];
-        
-        console.log(`🔄 Executing: whisper ${whisperArgs.join(' ')}`);
-        
-        const whisperProcess = spawn('whisper', whisperArgs);
-        
-        let stdout = '';
-        let stderr = '';
-        
-        whisperProcess.stdout.on('data', (data) => {
-            stdout += data.toString();
-            const progressMatch = data.toString().match(/(\d+)%/);
-            if (progressMatch) {
-                process.stdout.write(`\r🎤 Transcribing ${languageMapping[languageCode].name}: ${progressMatch[1]}%`);
-            }
-        });
-        
-        whisperProcess.stderr.on('data', (data) => {
-            stderr += data.toString();
-            const progressMatch = data.toString().match(/(\d+)%/);
-            if (progressMatch) {
-                process.stdout.write(`\r🎤 Transcribing ${languageMapping[languageCode].name}: ${progressMatch[1]}%`);
-            }
-        });
-        
-        whisperProcess.on('close', (code) => {
-            console.log(`\n🎤 Whisper transcription for ${languageMapping[languageCode].name} completed (exit code: ${code})`);
-            
-            if (code !== 0) {
-                console.error(`❌ Whisper failed for ${languageMapping[languageCode].name} with exit code ${code}`);
-                resolve({
-                    text: `[Whisper transcription failed for ${languageMapping[languageCode].name}]`,
-                    segments: [{
-                        start: 0,
-                        end: 10,
-                        text: `[Whisper transcription failed for ${languageMapping[languageCode].name}]`
-                    }]
-                });
-                return;
-            }
-            
-            try {
-                // Find the JSON output file (Whisper creates filename based on input)
-                const audioBasename = path.basename(audioPath, path.extname(audioPath));
-                const generatedJsonPath = path.join(outputDir, `${audioBasename}.json`);
-                
-                if (fs.existsSync(generatedJsonPath)) {
-                    const jsonContent = fs.readFileSync(generatedJsonPath, 'utf8');
-                    const transcription = JSON.parse(jsonContent);
-                    
-                    console.log(`✅ Transcription loaded for ${languageMapping[languageCode].name}`);
-                    
-                    // Clean up JSON file
-                    fs.unlinkSync(generatedJsonPath);
-                    
-                    // Convert Whisper format to standardized format
-                    const convertedTranscription = {
-                        text: transcription.text,
-                        segments: transcription.segments || [],
-                        language: languageCode
-                    };
-                    
-                    resolve(convertedTranscription);
-                } else {
-                    console.error(`❌ JSON output file not found for ${languageMapping[languageCode].name}`);
-                    resolve({
-                        text: `[Transcription file not found for ${languageMapping[languageCode].name}]`,
-                        segments: [{
-                            start: 0,
-                            end: 10,
-                            text: `[Transcription file not found for ${languageMapping[languageCode].name}]`
-                        }],
-                        language: languageCode
-                    });
-                }
-            } catch (error) {
-                console.error(`❌ Error reading transcription JSON for ${languageMapping[languageCode].name}:`, error.message);
-                resolve({
-                    text: `[Error processing transcription for ${languageMapping[languageCode].name}]`,
-                    segments: [{
-                        start: 0,
-                        end: 10,
-                        text: `[Error processing transcription for ${languageMapping[languageCode].name}]`
-                    }],
-                    language: languageCode
-                });
-            }
-        });
-        
-        whisperProcess.on('error', (error) => {
-            console.error(`❌ Failed to start whisper process for ${languageMapping[languageCode].name}:`, error.message);
-            resolve({
-                text: `[Failed to start Whisper for ${languageMapping[languageCode].name}]`,
-                segments: [{
-                    start: 0,
-                    end: 10,
-                    text: `[Failed to start Whisper for ${languageMapping[languageCode].name}]`
-                }],
-                language: languageCode
-            });
-        });
-    });
+    if (languageCode === 'en' && config.translationMethod === 'whisper') {
+        return 'whisper-translation';
+    }
+    return 'text-translation';
 }
 
 /**
- * Translates text using OpenRouter API
+ * Describes the route of a transcription for the VTT NOTE header
  */
-async function translateTextWithOpenRouter(text, targetLanguage) {
+function describeRoute(route) {
+    const sourceName = getLanguageInfo(route.source).name;
+    if (route.method === 'transcription') {
+        return `transcription of ${sourceName} speech (${route.engine})`;
+    }
+    if (route.method === 'whisper-translation') {
+        return `Whisper translation of ${sourceName} speech (${route.engine})`;
+    }
+    return `text translation from ${sourceName} (${route.engine})`;
+}
+
+/**
+ * Translates text using OpenRouter API, from sourceLanguage when it is known
+ */
+async function translateTextWithOpenRouter(text, targetLanguage, sourceLanguage = null) {
     if (!config.openrouterApiKey) {
-        return `[OpenRouter API key not configured for ${languageMapping[targetLanguage].name}]`;
+        throw new Error(`OpenRouter API key not configured, cannot translate to ${languageMapping[targetLanguage].name}`);
     }
     
     if (!text || text.trim().length === 0) {
@@ -328,7 +169,8 @@ async function translateTextWithOpenRouter(text, targetLanguage) {
     try {
         const targetLangInfo = languageMapping[targetLanguage];
         
-        const prompt = `Translate the following text to ${targetLangInfo.name} (${targetLangInfo.nativeName}). 
+        const sourceDescription = sourceLanguage ? `${getLanguageInfo(sourceLanguage).name} ` : '';
+        const prompt = `Translate the following ${sourceDescription}text to ${targetLangInfo.name} (${targetLangInfo.nativeName}). 
 Return ONLY the translated text without any additional explanation or formatting:
 
 ${text}`;
@@ -363,15 +205,38 @@ ${text}`;
         
     } catch (error) {
         console.error(`❌ OpenRouter translation error for ${languageMapping[targetLanguage].name}:`, error.response?.data || error.message);
-        return `[Translation failed for ${languageMapping[targetLanguage].name}: ${text}]`;
+        throw new Error(`OpenRouter translation to ${languageMapping[targetLanguage].name} failed: ${error.message}`);
     }
 }
 
 /**
  * Translates text (wrapper function for compatibility)
  */
-async function translateText(text, targetLanguage) {
-    return await translateTextWithOpenRouter(text, targetLanguage);
+async function translateText(text, targetLanguage, sourceLanguage = null) {
+    return await translateTextWithOpenRouter(text, targetLanguage, sourceLanguage);
+}
+
+/**
+ * Translates a source transcription segment by segment with OpenRouter
+ */
+async function translateTranscription(sourceTranscription, languageCode, sourceCode) {
+    const translatedSegments = [];
+    for (const segment of sourceTranscription.segments) {
+        const translatedText = await translateText(segment.text, languageCode, sourceCode);
+        // Word timestamps belong to the source words, so translated cues use segment timing
+        translatedSegments.push({
+            ...segment,
+            text: translatedText,
+            words: []
+        });
+    }
+    
+    // The full text is joined from the segments instead of translating the whole transcript again
+    return {
+        text: translatedSegments.map(segment => segment.text).join(' '),
+        segments: translatedSegments,
+        language: languageCode
+    };
 }
 
 /**
@@ -389,48 +254,41 @@ function generateVttContent(transcription, audioAnalysis, videoInfo, languageCod
     }
     vttContent += `NOTE Language: ${languageMapping[languageCode].name} (${languageCode})\n`;
     vttContent += `NOTE Generated by API.video Multi-Language VTT Generator\n`;
-    vttContent += `NOTE Translation: OpenRouter (${config.openrouterModel})\n`;
-    vttContent += `NOTE Music Detection: ${config.musicDetectionEnabled ? 'Enabled' : 'Disabled'}\n`;
+    if (transcription.sourceLanguage) {
+        const { language, method } = transcription.sourceLanguage;
+        vttContent += `NOTE Source Language: ${getLanguageInfo(language).name} (${language}, ${method})\n`;
+    }
+    if (transcription.route) {
+        vttContent += `NOTE Route: ${describeRoute(transcription.route)}\n`;
+    }
+    vttContent += `NOTE Music Detection: ${config.musicDetectionEnabled ? 'Enabled (audio classification)' : 'Disabled'}\n`;
     vttContent += `NOTE Silence Threshold: ${config.silenceThreshold}\n\n`;
     
-    if (!transcription.segments || transcription.segments.length === 0) {
-        // Fallback for simple transcription
-        vttContent += `1\n`;
-        vttContent += `00:00:00.000 --> 00:00:10.000\n`;
-        vttContent += `${transcription.text || 'No transcription available'}\n\n`;
-        return vttContent;
+    // Re-segment into cues that respect the language's line length, duration and reading speed limits
+    const cues = buildCues(transcription.segments || [], { language: languageCode });
+    
+    // Music-only regions found by the audio classifier get their own cues
+    const allCues = addMusicCues(cues, audioAnalysis);
+    
+    if (allCues.length === 0) {
+        throw new Error(`${languageMapping[languageCode].name} transcription is empty, there are no captions to write`);
     }
     
-    transcription.segments.forEach((segment, index) => {
-        const startTime = secondsToVttTimestamp(segment.start);
-        const endTime = secondsToVttTimestamp(segment.end);
-        let text = segment.text.trim();
+    allCues.forEach((cue, index) => {
+        const startTime = secondsToVttTimestamp(cue.start);
+        const endTime = secondsToVttTimestamp(cue.end);
+        let text = renderCueText(cue);
         
-        // Check if this segment overlaps with silence
+        // Check if this cue overlaps with silence
         const isInSilence = audioAnalysis.silenceSegments.some(silence => 
-            silence.start <= segment.start && silence.end >= segment.end
+            silence.start <= cue.start && silence.end >= cue.end
         );
         
-        // Check if this segment might be music (simplified heuristic)
-        const mightBeMusic = config.musicDetectionEnabled && (
-            text.match(/♪|♫|🎵|music|instrumental|♬/i) ||
-            text.length < 10 && !text.match(/\w{3,}/) // Very short non-word content
-        );
-        
-        // Add special markers for music and silence
-        if (mightBeMusic) {
-            text = `♪ ${text} ♪`;
-        }
-        
-        if (isInSilence && text.trim().length === 0) {
+        // Add special marker for silence
+        if (isInSilence && cue.text.length === 0) {
             text = '[Silence]';
         }
         
-        // Add warning for potentially music segments
-        if (mightBeMusic && config.musicDetectionEnabled) {
-            text += ' [Possible Music]';
-        }
-        
         vttContent += `${index + 1}\n`;
         vttContent += `${startTime} --> ${endTime}\n`;
         vttContent += `${text}\n\n`;
@@ -441,126 +299,203 @@ function generateVttContent(transcription, audioAnalysis, videoInfo, languageCod
 
 /**
  * Generates VTT files for all configured languages for a single video
+ * options.backend selects the transcription backend for this video (defaults to the run's backend)
  */
-async function generateMultiLanguageVttForVideo(videoPath) {
+async function generateMultiLanguageVttForVideo(videoPath, options = {}) {
     const videoFilename = path.basename(videoPath);
     const videoInfo = parseVideoFilename(videoFilename);
     
-    const audioPath = path.join(config.vttOutputFolder, `${videoInfo.title}_temp.wav`);
-    
     console.log(`\n🎬 Processing: ${videoInfo.title}`);
     if (videoInfo.hasVideoId) {
         console.log(`🆔 Video ID: ${videoInfo.videoId}`);
     }
     console.log(`🌐 Target languages: ${config.captionLanguages.map(lang => languageMapping[lang].name).join(', ')}`);
     
+    const videoName = videoInfo.hasVideoId ? `[${videoInfo.videoId}]_${videoInfo.title}` : videoInfo.title;
+    
+    // Resume from the job record of an earlier run (a rerender starts over)
+    const jobDetails = { videoId: videoInfo.videoId, source: videoFilename };
+    const job = config.rerender ? startJob(videoName, jobDetails) : loadJob(videoName, jobDetails);
+    
+    // Languages whose VTT already exists are done
+    const generatedFiles = [];
+    const pendingLanguages = [];
+    for (const languageCode of config.captionLanguages) {
+        const vttFilename = `${videoName}_${languageCode}.vtt`;
+        const vttPath = path.join(config.vttOutputFolder, vttFilename);
+        
+        if (fs.existsSync(vttPath) && !config.rerender) {
+            console.log(`⏭️  VTT already exists for ${languageMapping[languageCode].name}: ${vttFilename}`);
+            generatedFiles.push({ languageCode, vttPath, filename: vttFilename, sourceLanguage: job.stages.detected ? job.stages.detected.sourceLanguage : null });
+            continue;
+        }
+        pendingLanguages.push(languageCode);
+    }
+    
+    if (pendingLanguages.length === 0) {
+        return generatedFiles;
+    }
+    
+    let stage = 'audio extraction';
+    
+    // Audio, chunks and Whisper output live in the job's own scratch workspace
+    const workspace = createWorkspace(videoName);
+    const audioPath = workspace.path('audio.wav');
+    
     try {
-        // Step 1: Extract audio
-        await extractAudio(videoPath, audioPath);
+        // Step 1: Extract audio, only when a remaining stage needs it (the workspace of an earlier run is gone)
+        const ensureAudio = async () => {
+            if (!fs.existsSync(audioPath)) {
+                stage = 'audio extraction';
+                await extractAudio(videoPath, audioPath);
+                completeStage(job, 'extracted');
+            }
+        };
         
         // Step 2: Analyze audio for silence and music
-        const audioAnalysis = await analyzeAudio(audioPath);
+        stage = 'audio analysis';
+        let audioAnalysis = job.stages.analyzed ? job.stages.analyzed.audioAnalysis : null;
+        if (!audioAnalysis) {
+            await ensureAudio();
+            stage = 'audio analysis';
+            audioAnalysis = await analyzeAudio(audioPath, {
+                silenceThreshold: config.silenceThreshold,
+                classify: config.musicDetectionEnabled
+            });
+            completeStage(job, 'analyzed', { audioAnalysis });
+        }
         
-        // Step 3: Generate transcriptions for each language
+        // Step 3: Generate transcriptions for each language, without hallucinated and repeated segments
+        stage = 'transcription';
         const transcriptions = {};
+        const backend = await resolveBackend(getBackendNameForVideo(videoInfo.videoId, options.backend));
         
-        if (config.translationMethod === 'whisper') {
-            // Use Whisper for each language
-            const whisperInstalled = await checkWhisperInstalled();
-            
-            if (whisperInstalled) {
-                for (const languageCode of config.captionLanguages) {
-                    console.log(`\n🔄 Processing ${languageMapping[languageCode].name}...`);
-                    transcriptions[languageCode] = await transcribeWithLocalWhisperForLanguage(audioPath, languageCode);
-                }
-            } else {
-                console.log(`❌ Whisper not available. Skipping transcription.`);
-                return [];
-            }
-        } else {
-            // Use one language for transcription, then translate
-            console.log(`🎤 Transcribing in primary language (English)...`);
-            const primaryTranscription = await transcribeWithLocalWhisperForLanguage(audioPath, 'en');
-            
-            transcriptions['en'] = primaryTranscription;
+        if (!backend) {
+            throw new Error('No transcription backend available');
+        }
+        
+        const vocabulary = getVocabulary(videoInfo.videoId);
+        const transcribeFiltered = async (languageCode, task = 'transcribe') => {
+            await ensureAudio();
+            stage = 'transcription';
+            const filterResult = filterTranscription(await transcribeForLanguage(backend, audioPath, languageCode, vocabulary, audioAnalysis, task), audioAnalysis);
+            writeQaLog(videoName, filterResult.transcription.language, filterResult);
+            return filterResult.transcription;
+        };
+        
+        // A failed language is recorded and gets no VTT; the other languages go on
+        const recordLanguageFailure = (languageCode, languageStage, error) => {
+            console.error(`❌ ${languageMapping[languageCode].name} failed (${languageStage}):`, error.message);
+            recordFailure({ video: videoName, videoId: videoInfo.videoId, language: languageCode, stage: languageStage, error, source: videoFilename });
+        };
+        
+        // Transcribe once in the spoken language (without it no language can be generated)
+        stage = 'language detection';
+        let sourceLanguage = job.stages.detected ? job.stages.detected.sourceLanguage : null;
+        if (!sourceLanguage) {
+            await ensureAudio();
+            stage = 'language detection';
+            sourceLanguage = await detectSourceLanguage(backend, audioPath, audioAnalysis);
+            completeStage(job, 'detected', { sourceLanguage });
+        }
+        const sourceCode = sourceLanguage.language;
+        
+        stage = 'transcription';
+        let sourceTranscription = job.stages.transcribed ? job.stages.transcribed.transcription : null;
+        if (!sourceTranscription) {
+            console.log(`🎤 Transcribing in source language (${getLanguageInfo(sourceCode).name})...`);
+            sourceTranscription = await transcribeFiltered(sourceCode);
+            completeStage(job, 'transcribed', { language: sourceCode, transcription: sourceTranscription });
+        }
+        
+        if (!config.captionLanguages.includes(sourceCode)) {
+            console.log(`ℹ️  ${getLanguageInfo(sourceCode).name} is not a caption language, it is only used as translation source`);
+        }
+        
+        // Produce every caption language from the source: as is, with Whisper's English translation, or by text translation
+        for (const languageCode of pendingLanguages) {
+            const method = chooseRoute(languageCode, sourceCode);
+            const jobStage = method === 'text-translation' ? 'translated' : 'transcribed';
+            const saved = getLanguageStage(job, languageCode, jobStage);
+            const reusable = saved && saved.route.method === method && (method === 'transcription' || saved.transcription);
             
-            // Translate to other languages
-            for (const languageCode of config.captionLanguages) {
-                if (languageCode !== 'en') {
+            try {
+                let transcription;
+                let engine;
+                if (reusable) {
+                    console.log(`⏩ ${languageMapping[languageCode].name} already ${jobStage}`);
+                    transcription = method === 'transcription' ? sourceTranscription : saved.transcription;
+                    engine = saved.route.engine;
+                } else if (method === 'transcription') {
+                    transcription = sourceTranscription;
+                    engine = backend.name;
+                } else if (method === 'whisper-translation') {
+                    console.log(`\n🔄 Processing ${languageMapping[languageCode].name} (Whisper translation)...`);
+                    transcription = await transcribeFiltered(sourceCode, 'translate');
+                    engine = backend.name;
+                } else {
                     console.log(`🔄 Translating to ${languageMapping[languageCode].name}...`);
-                    
-                    const translatedSegments = [];
-                    for (const segment of primaryTranscription.segments) {
-                        const translatedText = await translateText(segment.text, languageCode);
-                        translatedSegments.push({
-                            ...segment,
-                            text: translatedText
-                        });
-                    }
-                    
-                    transcriptions[languageCode] = {
-                        text: await translateText(primaryTranscription.text, languageCode),
-                        segments: translatedSegments,
-                        language: languageCode
-                    };
+                    transcription = await translateTranscription(sourceTranscription, languageCode, sourceCode);
+                    engine = `OpenRouter ${config.openrouterModel}`;
+                }
+                
+                const route = { method, source: sourceCode, engine };
+                if (!reusable) {
+                    // The source transcription is already in the record, other results are kept until written
+                    completeLanguageStage(job, languageCode, jobStage, method === 'transcription' ? { route } : { route, transcription });
                 }
+                
+                transcriptions[languageCode] = { ...transcription, sourceLanguage, route };
+            } catch (error) {
+                recordLanguageFailure(languageCode, method === 'text-translation' ? 'translation' : 'transcription', error);
             }
         }
         
         // Step 4: Generate VTT files for each language
-        const generatedFiles = [];
+        stage = 'vtt generation';
         
-        for (const languageCode of config.captionLanguages) {
+        for (const languageCode of pendingLanguages) {
             if (transcriptions[languageCode]) {
                 // Create VTT filename with language code
-                let vttFilename;
-                if (videoInfo.hasVideoId) {
-                    vttFilename = `[${videoInfo.videoId}]_${videoInfo.title}_${languageCode}.vtt`;
-                } else {
-                    vttFilename = `${videoInfo.title}_${languageCode}.vtt`;
-                }
-                
+                const vttFilename = `${videoName}_${languageCode}.vtt`;
                 const vttPath = path.join(config.vttOutputFolder, vttFilename);
                 
-                // Check if VTT already exists
-                if (fs.existsSync(vttPath)) {
-                    console.log(`⏭️  VTT already exists for ${languageMapping[languageCode].name}: ${vttFilename}`);
-                    generatedFiles.push({ languageCode, vttPath, filename: vttFilename });
+                // Generate VTT content
+                let vttContent;
+                try {
+                    vttContent = generateVttContent(transcriptions[languageCode], audioAnalysis, videoInfo, languageCode);
+                } catch (error) {
+                    recordLanguageFailure(languageCode, 'vtt generation', error);
                     continue;
                 }
                 
-                // Generate VTT content
-                const vttContent = generateVttContent(transcriptions[languageCode], audioAnalysis, videoInfo, languageCode);
-                
                 // Save VTT file
                 fs.writeFileSync(vttPath, vttContent, 'utf8');
+                completeLanguageStage(job, languageCode, 'written', { vttPath });
+                clearFailure(videoName, languageCode);
                 console.log(`✅ VTT generated for ${languageMapping[languageCode].name}: ${vttFilename}`);
                 
                 if (videoInfo.hasVideoId) {
                     console.log(`💡 Ready for caption upload to video ID: ${videoInfo.videoId} (${languageCode})`);
                 }
                 
-                generatedFiles.push({ languageCode, vttPath, filename: vttFilename });
+                generatedFiles.push({ languageCode, vttPath, filename: vttFilename, sourceLanguage });
             }
         }
-        
-        // Step 5: Cleanup temporary audio file
-        if (fs.existsSync(audioPath)) {
-            fs.unlinkSync(audioPath);
-            console.log(`🗑️  Cleaned up temporary audio file`);
-        }
+        compactJob(job, config.captionLanguages);
         
         return generatedFiles;
         
     } catch (error) {
         console.error(`❌ Error generating multi-language VTT for ${videoInfo.title}:`, error.message);
         
-        // Cleanup on error
-        if (fs.existsSync(audioPath)) {
-            fs.unlinkSync(audioPath);
-        }
+        // No VTT is written for a failed job; the failure is recorded for the quarantine report instead
+        recordFailure({ video: videoName, videoId: videoInfo.videoId, stage, error, source: videoFilename });
         
         throw error;
+    } finally {
+        // Step 5: Remove the scratch workspace with the temporary audio
+        workspace.cleanup();
     }
 }
 
@@ -570,6 +505,10 @@ async function generateMultiLanguageVttForVideo(videoPath) {
 async function generateMultiLanguageVttForAllVideos() {
     ensureVttOutputDirectory();
     
+    if (!hasEnoughFreeDiskSpace(config.vttOutputFolder)) {
+        return;
+    }
+    
     const downloadsDir = config.outputFolder;
     
     if (!fs.existsSync(downloadsDir)) {
@@ -577,9 +516,7 @@ async function generateMultiLanguageVttForAllVideos() {
         return;
     }
     
-    const videoFiles = fs.readdirSync(downloadsDir)
-        .filter(file => file.toLowerCase().endsWith('.mp4'))
-        .map(file => path.join(downloadsDir, file));
+    const videoFiles = findMediaFiles(downloadsDir);
     
     if (videoFiles.length === 0) {
         console.log(`📭 No video files found in ${downloadsDir}`);
@@ -620,6 +557,9 @@ async function generateMultiLanguageVttForAllVideos() {
     console.log(`\n📊 Multi-Language VTT Generation Summary:`);
     console.log(`✅ Successful videos: ${successCount}`);
     console.log(`❌ Failed videos: ${failureCount}`);
+    if (failureCount > 0) {
+        console.log(`🚧 Failures are recorded in ${quarantineConfig.quarantineFolder} (node failureQuarantine.js report)`);
+    }
     console.log(`📄 Total VTT files generated: ${totalFilesGenerated}`);
     console.log(`🌐 Languages: ${config.captionLanguages.map(lang => languageMapping[lang].name).join(', ')}`);
     console.log(`📁 VTT files location: ${config.vttOutputFolder}`);
@@ -640,22 +580,25 @@ async function main() {
         console.log(`🌐 Target languages: ${config.captionLanguages.map(lang => languageMapping[lang].name).join(', ')}`);
         console.log(`🔄 Translation method: ${config.translationMethod}`);
         
-        // Check available transcription methods
-        const whisperInstalled = await checkWhisperInstalled();
-        console.log(`🎤 Local Whisper: ${whisperInstalled ? 'Available' : 'Not installed'}`);
-        console.log(`🔑 OpenAI API: ${openai ? 'Available' : 'Not configured'}`);
+        // Check available transcription backends
+        const availableBackends = await listBackends();
+        availableBackends.filter(backend => backend.name !== 'fake').forEach(backend => {
+            console.log(`🎤 ${backend.name}: ${backend.available ? 'Available' : 'Not available'}`);
+        });
         console.log(`🌐 OpenRouter API: ${config.openrouterApiKey ? 'Available' : 'Not configured'}`);
         console.log(`🤖 OpenRouter Model: ${config.openrouterModel}`);
         
-        if (!whisperInstalled) {
-            console.log(`\n❌ Local Whisper is required for multi-language caption generation.`);
-            console.log(`   Please install it with: pip install openai-whisper`);
+        const backend = await resolveBackend();
+        if (!backend) {
+            console.log(`\n❌ A transcription backend is required for multi-language caption generation.`);
+            console.log(`   Please install one, e.g.: pip install openai-whisper`);
             return;
         }
+        console.log(`✅ Using ${backend.name} for transcription (TRANSCRIPTION_BACKEND=${backendConfig.backend})`);
         
         if (config.translationMethod === 'translate' && !config.openrouterApiKey) {
             console.log(`\n⚠️  Translation method set to 'translate' but OpenRouter API not configured.`);
-            console.log(`   Falling back to Whisper multi-language transcription.`);
+            console.log(`   Falling back to Whisper: only the spoken language and English can be generated.`);
             config.translationMethod = 'whisper';
         }
         
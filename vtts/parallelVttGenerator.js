@@ -3,240 +3,341 @@ const fs = require('fs');
 const path = require('path');
 const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const os = require('os');
+const { stripMediaExtension, findMediaFiles } = require('./mediaFiles.js');
+const { hasEnoughFreeDiskSpace } = require('./retentionPolicy.js');
+const { trackCommand, untrackCommand, killCommand, logCommandEvent, config: backendConfig } = require('./transcriptionBackends.js');
+const { readJob, isJobComplete } = require('./jobState.js');
+const { getAudioDuration, planChunks } = require('./chunkedTranscription.js');
+const { config: detectionConfig } = require('./languageDetection.js');
+const { removeOwnWorkspaces } = require('./scratchWorkspace.js');
+const { registerShutdownStep } = require('./shutdown.js');
 
 // Configuration from environment variables
 const config = {
     outputFolder: process.env.OUTPUT_FOLDER || './downloads',
     vttOutputFolder: process.env.VTT_OUTPUT_FOLDER || './subtitles',
     maxWorkers: parseInt(process.env.MAX_WORKERS) || Math.max(1, Math.floor(os.cpus().length * 0.8)),
-    batchSize: parseInt(process.env.BATCH_SIZE) || 1, // Videos per worker batch
-    workerTimeout: parseInt(process.env.WORKER_TIMEOUT) || 600000, // 10 minutes per video max
+    workerTimeout: parseInt(process.env.WORKER_TIMEOUT) || null, // Fixed limit per video in ms, null = derived from the video duration
+    maxAttempts: parseInt(process.env.WORKER_MAX_ATTEMPTS) || 2, // Attempts per video when its worker dies or times out
+    resultsFile: process.env.PARALLEL_RESULTS_FILE || './parallel_results.jsonl', // One JSON line per finished video
     retryFailedVideos: process.env.RETRY_FAILED_VIDEOS !== 'false'
 };
 
+/*
+ * Work queue
+ *
+ * The main thread keeps a queue of videos. Every worker asks for one video at a time ('ready'),
+ * reports its result ('result') and gets the next video, or 'stop' when the queue is empty, so a
+ * long video only occupies its own worker. A worker that dies or times out is replaced and its
+ * in-flight video goes back to the queue until it used up WORKER_MAX_ATTEMPTS; thanks to the job
+ * state (jobState.js) the new attempt resumes where the previous one stopped. A timed-out worker is
+ * first asked to cancel its Whisper process ('cancel' / 'cancelled'); terminating a thread does not
+ * stop the processes it started, so the main thread kills the ones the worker reported when it does
+ * not answer in time, and on SIGINT/SIGTERM. Each video works in its own scratch workspace
+ * (scratchWorkspace.js); the workspaces of a killed worker are removed by the main thread, as the
+ * worker cannot clean up after itself.
+ */
+
+/**
+ * Removes the scratch workspaces a dead worker thread left behind
+ */
+function removeWorkerWorkspaces(threadId, label) {
+    try {
+        const removed = removeOwnWorkspaces(threadId);
+        if (removed > 0) {
+            console.log(`🗑️  ${label}: Cleaned up ${removed} scratch workspace(s)`);
+        }
+    } catch (cleanupError) {
+        console.error(`❌ ${label}: Failed to cleanup scratch workspace: ${cleanupError.message}`);
+    }
+}
+
 /**
- * Worker thread function - processes a batch of videos
+ * Worker thread function - processes videos one at a time as the main thread hands them out
  */
 async function workerFunction() {
     if (isMainThread) return;
     
-    const { videoBatch, workerId } = workerData;
+    const { workerId, backend } = workerData;
     const { generateMultiLanguageVttForVideo } = require('./multiLanguageVttGenerator.js');
+    const { commandEvents, cancelRunningCommands } = require('./transcriptionBackends.js');
     
-    const results = [];
+    // Report Whisper processes and their progress to the main thread
+    ['start', 'progress', 'end'].forEach(type => {
+        commandEvents.on(type, (event) => {
+            parentPort.postMessage({ type: 'command', workerId, event: type, ...event });
+        });
+    });
     
-    for (const videoPath of videoBatch) {
-        let tempWavPath = null;
-        
+    const processVideo = async (videoPath) => {
         try {
             console.log(`🔄 Worker ${workerId}: Processing ${path.basename(videoPath)}`);
             const startTime = Date.now();
             
-            // Track potential temp wav file path for cleanup
-            const videoFilename = path.basename(videoPath);
-            const videoTitle = videoFilename.replace(/^\[[^\]]+\]_/, '').replace(/\.mp4$/, '');
-            tempWavPath = path.join(config.vttOutputFolder, `${videoTitle}_temp.wav`);
-            
-            const generatedFiles = await generateMultiLanguageVttForVideo(videoPath);
+            const generatedFiles = await generateMultiLanguageVttForVideo(videoPath, { backend });
             
             const processingTime = ((Date.now() - startTime) / 1000).toFixed(1);
             console.log(`✅ Worker ${workerId}: Completed ${path.basename(videoPath)} in ${processingTime}s`);
             
-            results.push({
+            return {
                 videoPath,
                 success: true,
                 generatedFiles,
+                sourceLanguage: generatedFiles.length > 0 ? generatedFiles[0].sourceLanguage : null,
                 processingTime: parseFloat(processingTime),
                 error: null
-            });
+            };
             
         } catch (error) {
             console.error(`❌ Worker ${workerId}: Failed ${path.basename(videoPath)}: ${error.message}`);
             
-            // Cleanup temp wav file if it exists and processing failed
-            if (tempWavPath && fs.existsSync(tempWavPath)) {
-                try {
-                    fs.unlinkSync(tempWavPath);
-                    console.log(`🗑️  Worker ${workerId}: Cleaned up temp file for ${path.basename(videoPath)}`);
-                } catch (cleanupError) {
-                    console.error(`❌ Worker ${workerId}: Failed to cleanup temp file: ${cleanupError.message}`);
-                }
-            }
-            
-            results.push({
+            return {
                 videoPath,
                 success: false,
                 generatedFiles: [],
                 processingTime: 0,
                 error: error.message
-            });
+            };
         }
-    }
+    };
     
-    // Send results back to main thread
-    parentPort.postMessage({
-        workerId,
-        results,
-        completed: true
+    parentPort.on('message', async (message) => {
+        if (message.type === 'stop') {
+            parentPort.close();
+        } else if (message.type === 'cancel') {
+            await cancelRunningCommands(message.reason);
+            parentPort.postMessage({ type: 'cancelled', workerId });
+        } else if (message.type === 'video') {
+            const result = await processVideo(message.videoPath);
+            parentPort.postMessage({ type: 'result', workerId, result });
+        }
     });
+    
+    parentPort.postMessage({ type: 'ready', workerId });
+}
+
+/**
+ * Gets the wall-clock limit in seconds of one Whisper run over audio of the given duration (see transcriptionBackends.js)
+ */
+function getWhisperLimitSeconds(duration) {
+    return Math.max(backendConfig.timeoutMinSeconds, duration * backendConfig.timeoutFactor);
 }
 
 /**
- * Splits array into chunks for parallel processing
+ * Gets the wall-clock limit in milliseconds for one video, or null for none
+ * It adds up the limits of every Whisper run the video can make, each with its own minimum: the
+ * language detection samples (when the source language is detected), the source transcription and
+ * the English translation chunk by chunk, plus one more limit for extraction and text translation,
+ * so the worker is only stopped when the Whisper limits themselves did not help
  */
-function chunkArray(array, chunkSize) {
-    const chunks = [];
-    for (let i = 0; i < array.length; i += chunkSize) {
-        chunks.push(array.slice(i, i + chunkSize));
+async function getVideoTimeout(videoPath) {
+    if (config.workerTimeout) {
+        return config.workerTimeout;
+    }
+
+    try {
+        const duration = await getAudioDuration(videoPath);
+        const detectionSeconds = detectionConfig.sourceLanguage === 'auto'
+            ? (duration <= detectionConfig.sampleSeconds ? 1 : detectionConfig.samples) * getWhisperLimitSeconds(Math.min(duration, detectionConfig.sampleSeconds))
+            : 0;
+        const passSeconds = planChunks(duration)
+            .reduce((sum, chunk) => sum + getWhisperLimitSeconds(chunk.end - chunk.start), 0);
+
+        return (detectionSeconds + passSeconds * 2 + getWhisperLimitSeconds(duration) + backendConfig.killGraceSeconds) * 1000;
+    } catch (error) {
+        console.log(`⚠️  Could not read the duration of ${path.basename(videoPath)}, no worker time limit`);
+        return null;
     }
-    return chunks;
 }
 
 /**
- * Creates and manages worker threads for parallel processing
+ * Appends a finished video to the results file, so results survive a crash of the main process
+ */
+function appendResult(result) {
+    fs.appendFileSync(config.resultsFile, JSON.stringify({ ...result, finishedAt: new Date().toISOString() }) + '\n');
+}
+
+/**
+ * Creates and manages worker threads pulling videos from a shared queue
  */
 async function processVideosInParallel(videoFiles) {
     const startTime = Date.now();
+    const workerCount = Math.min(config.maxWorkers, videoFiles.length);
     
-    console.log(`🚀 Starting parallel processing with ${config.maxWorkers} workers`);
-    console.log(`📦 Batch size: ${config.batchSize} videos per worker`);
+    console.log(`🚀 Starting parallel processing with ${workerCount} workers`);
     console.log(`🎬 Total videos: ${videoFiles.length}`);
+    console.log(`📝 Results are appended to: ${config.resultsFile}`);
     
-    // Split videos into batches
-    const videoBatches = chunkArray(videoFiles, config.batchSize);
-    console.log(`📊 Created ${videoBatches.length} batches`);
-    
+    const queue = [...videoFiles];
+    const attempts = new Map();
     const allResults = [];
     const activeWorkers = new Map();
-    let batchIndex = 0;
-    let completedWorkers = 0;
+    let spawnedWorkers = 0;
+    let stopping = false;
+    
+    // On Ctrl+C the workers stop starting Whisper first, then the commands and workspaces are cleaned up
+    const unregisterShutdownStep = registerShutdownStep({
+        name: 'parallel workers',
+        order: 0,
+        onSignal(signal) {
+            stopping = true;
+            activeWorkers.forEach(workerInfo => {
+                workerInfo.cancelling = true;
+                workerInfo.worker.postMessage({ type: 'cancel', reason: signal });
+            });
+        }
+    });
     
-    return new Promise((resolve, reject) => {
+    return new Promise((resolve) => {
+        
+        // Records a finished video
+        const finishVideo = (result) => {
+            allResults.push(result);
+            appendResult(result);
+            console.log(`📊 Progress: ${allResults.length}/${videoFiles.length} videos finished`);
+        };
         
-        // Function to start a new worker
-        const startWorker = (workerId, batch) => {
+        // Hands the next queued video to a worker, or stops it when the queue is empty
+        const dispatch = (workerInfo) => {
+            if (queue.length === 0) {
+                workerInfo.current = null;
+                workerInfo.worker.postMessage({ type: 'stop' });
+                return;
+            }
+            
+            const videoPath = queue.shift();
+            attempts.set(videoPath, (attempts.get(videoPath) || 0) + 1);
+            workerInfo.current = videoPath;
+            
+            workerInfo.worker.postMessage({ type: 'video', videoPath });
+            
+            getVideoTimeout(videoPath).then((timeoutMs) => {
+                // The video may already be finished by the time its duration is known
+                if (!timeoutMs || workerInfo.current !== videoPath || workerInfo.cancelling) {
+                    return;
+                }
+                workerInfo.timeout = setTimeout(() => {
+                    console.error(`⏰ Worker ${workerInfo.workerId} timed out after ${Math.round(timeoutMs / 1000)}s on ${path.basename(videoPath)}`);
+                    workerInfo.error = 'Worker timeout';
+                    cancelWorker(workerInfo);
+                }, timeoutMs);
+            });
+        };
+        
+        // Asks a worker to stop its Whisper process, then terminates it (killing the process itself when the worker does not answer)
+        const cancelWorker = (workerInfo) => {
+            workerInfo.cancelling = true;
+            workerInfo.worker.postMessage({ type: 'cancel', reason: workerInfo.error });
+            workerInfo.timeout = setTimeout(() => {
+                console.error(`🔪 Worker ${workerInfo.workerId} did not stop in time, killing ${workerInfo.commands.size} Whisper process(es)`);
+                workerInfo.commands.forEach(pid => killCommand(pid, 'SIGKILL'));
+                workerInfo.worker.terminate();
+            }, (backendConfig.killGraceSeconds + 5) * 1000);
+        };
+        
+        // Starts a worker that pulls videos until the queue is empty
+        const startWorker = () => {
+            spawnedWorkers++;
+            const workerId = `W${spawnedWorkers}`;
             const worker = new Worker(__filename, {
-                workerData: { videoBatch: batch, workerId }
+                workerData: { workerId, backend: backendConfig.backend }
             });
             
             const workerInfo = {
                 worker,
                 workerId,
-                batch,
-                startTime: Date.now(),
-                timeout: null
+                threadId: worker.threadId, // worker.threadId is -1 once the worker exited
+                current: null,
+                timeout: null,
+                error: null,
+                cancelling: false,
+                commands: new Set() // Whisper process ids reported by the worker
             };
             
-            // Set timeout for worker
-            workerInfo.timeout = setTimeout(() => {
-                console.error(`⏰ Worker ${workerId} timed out after ${config.workerTimeout/1000}s`);
-                worker.terminate();
-                activeWorkers.delete(workerId);
-                
-                // Clean up potential temp WAV files for timed out batch
-                console.log(`🗑️  Cleaning up temp files for timed out worker ${workerId}...`);
-                batch.forEach(videoPath => {
-                    const videoFilename = path.basename(videoPath);
-                    const videoTitle = videoFilename.replace(/^\[[^\]]+\]_/, '').replace(/\.mp4$/, '');
-                    const tempWavPath = path.join(config.vttOutputFolder, `${videoTitle}_temp.wav`);
-                    
-                    if (fs.existsSync(tempWavPath)) {
-                        try {
-                            fs.unlinkSync(tempWavPath);
-                            console.log(`   🗑️  Removed: ${videoTitle}_temp.wav`);
-                        } catch (cleanupError) {
-                            console.error(`   ❌ Failed to cleanup: ${tempWavPath}`);
-                        }
-                    }
-                });
-                
-                // Mark batch as failed
-                const failedResults = batch.map(videoPath => ({
-                    videoPath,
-                    success: false,
-                    generatedFiles: [],
-                    processingTime: 0,
-                    error: 'Worker timeout'
-                }));
-                
-                allResults.push(...failedResults);
-                checkCompletion();
-            }, config.workerTimeout);
-            
             // Handle worker messages
-            worker.on('message', (data) => {
-                if (data.completed) {
+            worker.on('message', (message) => {
+                if (message.type === 'command') {
+                    if (message.event === 'start') {
+                        workerInfo.commands.add(message.pid);
+                        trackCommand(message.pid, `${workerId} ${message.label}`);
+                    } else if (message.event === 'end') {
+                        workerInfo.commands.delete(message.pid);
+                        untrackCommand(message.pid);
+                    }
+                    logCommandEvent(message.event, message, `Worker ${workerId}: `);
+                    return;
+                }
+                if (message.type === 'cancelled') {
                     clearTimeout(workerInfo.timeout);
-                    activeWorkers.delete(workerId);
-                    allResults.push(...data.results);
-                    
-                    const workerTime = ((Date.now() - workerInfo.startTime) / 1000).toFixed(1);
-                    console.log(`🏁 Worker ${workerId} completed batch in ${workerTime}s`);
-                    
-                    completedWorkers++;
-                    checkCompletion();
+                    workerInfo.worker.terminate();
+                    return;
+                }
+                // A cancelled worker's video is re-queued or failed by the exit handler
+                if (workerInfo.cancelling) {
+                    return;
+                }
+                if (message.type === 'result') {
+                    clearTimeout(workerInfo.timeout);
+                    finishVideo(message.result);
+                    workerInfo.current = null;
+                }
+                if (message.type === 'ready' || message.type === 'result') {
+                    dispatch(workerInfo);
                 }
             });
             
-            // Handle worker errors
+            // Handle worker errors (the exit handler takes care of the in-flight video)
             worker.on('error', (error) => {
                 console.error(`❌ Worker ${workerId} error:`, error.message);
+                workerInfo.error = error.message;
+            });
+            
+            // A worker exits after 'stop', or when it crashed or was terminated on timeout
+            worker.on('exit', (code) => {
                 clearTimeout(workerInfo.timeout);
                 activeWorkers.delete(workerId);
+                workerInfo.commands.forEach(pid => untrackCommand(pid));
                 
-                // Clean up potential temp WAV files for errored batch
-                console.log(`🗑️  Cleaning up temp files for errored worker ${workerId}...`);
-                batch.forEach(videoPath => {
-                    const videoFilename = path.basename(videoPath);
-                    const videoTitle = videoFilename.replace(/^\[[^\]]+\]_/, '').replace(/\.mp4$/, '');
-                    const tempWavPath = path.join(config.vttOutputFolder, `${videoTitle}_temp.wav`);
+                const videoPath = workerInfo.current;
+                if (videoPath) {
+                    const error = workerInfo.error || `Worker exited with code ${code}`;
+                    removeWorkerWorkspaces(workerInfo.threadId, `Worker ${workerId}`);
                     
-                    if (fs.existsSync(tempWavPath)) {
-                        try {
-                            fs.unlinkSync(tempWavPath);
-                            console.log(`   🗑️  Removed: ${videoTitle}_temp.wav`);
-                        } catch (cleanupError) {
-                            console.error(`   ❌ Failed to cleanup: ${tempWavPath}`);
-                        }
+                    if (attempts.get(videoPath) < config.maxAttempts) {
+                        console.log(`🔁 Re-queuing ${path.basename(videoPath)} (${error}, attempt ${attempts.get(videoPath)}/${config.maxAttempts})`);
+                        queue.unshift(videoPath);
+                    } else {
+                        finishVideo({
+                            videoPath,
+                            success: false,
+                            generatedFiles: [],
+                            processingTime: 0,
+                            error
+                        });
                     }
-                });
+                }
                 
-                // Mark batch as failed
-                const failedResults = batch.map(videoPath => ({
-                    videoPath,
-                    success: false,
-                    generatedFiles: [],
-                    processingTime: 0,
-                    error: error.message
-                }));
+                // Replace a dead worker while there is work left
+                if (queue.length > 0 && activeWorkers.size < workerCount && !stopping) {
+                    console.log(`♻️  Respawning a worker to replace ${workerId}`);
+                    startWorker();
+                }
                 
-                allResults.push(...failedResults);
-                checkCompletion();
+                if (activeWorkers.size === 0 && queue.length === 0) {
+                    const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+                    console.log(`🎉 All workers completed in ${totalTime}s`);
+                    unregisterShutdownStep();
+                    resolve(allResults);
+                }
             });
             
             activeWorkers.set(workerId, workerInfo);
         };
         
-        // Function to check if all work is complete
-        const checkCompletion = () => {
-            // Start new workers if there are more batches and available slots
-            while (activeWorkers.size < config.maxWorkers && batchIndex < videoBatches.length) {
-                const workerId = `W${batchIndex + 1}`;
-                const batch = videoBatches[batchIndex];
-                startWorker(workerId, batch);
-                batchIndex++;
-            }
-            
-            // Check if all work is done
-            if (activeWorkers.size === 0 && batchIndex >= videoBatches.length) {
-                const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-                console.log(`🎉 All workers completed in ${totalTime}s`);
-                resolve(allResults);
-            }
-        };
-        
         // Start initial workers
-        checkCompletion();
+        for (let i = 0; i < workerCount; i++) {
+            startWorker();
+        }
     });
 }
 
@@ -249,8 +350,7 @@ async function generateMultiLanguageVttParallel() {
         console.log(`📂 Video source: ${config.outputFolder}`);
         console.log(`📂 VTT destination: ${config.vttOutputFolder}`);
         console.log(`🔧 Max workers: ${config.maxWorkers}`);
-        console.log(`📦 Batch size: ${config.batchSize} videos per worker`);
-        console.log(`⏰ Worker timeout: ${config.workerTimeout/1000}s`);
+        console.log(`⏰ Worker timeout: ${config.workerTimeout ? `${config.workerTimeout/1000}s per video` : `from video duration (${backendConfig.timeoutFactor}× per Whisper run)`}`);
         
         // Get video files
         const downloadsDir = config.outputFolder;
@@ -260,9 +360,7 @@ async function generateMultiLanguageVttParallel() {
             return;
         }
         
-        const videoFiles = fs.readdirSync(downloadsDir)
-            .filter(file => file.toLowerCase().endsWith('.mp4'))
-            .map(file => path.join(downloadsDir, file));
+        const videoFiles = findMediaFiles(downloadsDir);
         
         if (videoFiles.length === 0) {
             console.log(`📭 No video files found in ${downloadsDir}`);
@@ -271,13 +369,30 @@ async function generateMultiLanguageVttParallel() {
         
         console.log(`🎬 Found ${videoFiles.length} video files to process`);
         
+        // Videos whose job record has every caption language written are skipped (use --rerender to redo them)
+        const { config: generatorConfig } = require('./multiLanguageVttGenerator.js');
+        const pendingVideoFiles = generatorConfig.rerender ? videoFiles : videoFiles.filter(videoFile =>
+            !isJobComplete(readJob(stripMediaExtension(path.basename(videoFile))), generatorConfig.captionLanguages)
+        );
+        if (pendingVideoFiles.length < videoFiles.length) {
+            console.log(`⏩ Skipping ${videoFiles.length - pendingVideoFiles.length} videos with completed jobs`);
+        }
+        if (pendingVideoFiles.length === 0) {
+            console.log(`✅ All videos already have their captions`);
+            return;
+        }
+        
         // Ensure output directory exists
         if (!fs.existsSync(config.vttOutputFolder)) {
             fs.mkdirSync(config.vttOutputFolder, { recursive: true });
         }
         
+        if (!hasEnoughFreeDiskSpace(config.vttOutputFolder)) {
+            return;
+        }
+        
         // Process videos in parallel
-        const results = await processVideosInParallel(videoFiles);
+        const results = await processVideosInParallel(pendingVideoFiles);
         
         // Analyze results
         const successful = results.filter(r => r.success);
@@ -320,31 +435,13 @@ async function generateMultiLanguageVttParallel() {
         
         console.log(`\n💡 Files with [videoId] prefix are ready for multi-language caption upload!`);
         
-        // Final cleanup: Remove any remaining temp WAV files
-        console.log(`\n🧹 Performing final cleanup of temporary files...`);
-        if (fs.existsSync(config.vttOutputFolder)) {
-            const files = fs.readdirSync(config.vttOutputFolder);
-            const tempWavFiles = files.filter(file => file.endsWith('_temp.wav'));
-            
-            if (tempWavFiles.length > 0) {
-                console.log(`🗑️  Found ${tempWavFiles.length} remaining temp files to clean up`);
-                let cleanedCount = 0;
-                
-                tempWavFiles.forEach(file => {
-                    const filePath = path.join(config.vttOutputFolder, file);
-                    try {
-                        fs.unlinkSync(filePath);
-                        console.log(`   🗑️  Removed: ${file}`);
-                        cleanedCount++;
-                    } catch (error) {
-                        console.error(`   ❌ Failed to remove ${file}: ${error.message}`);
-                    }
-                });
-                
-                console.log(`✨ Final cleanup completed: ${cleanedCount} files removed`);
-            } else {
-                console.log(`✅ No temporary files found - cleanup not needed`);
-            }
+        // Final cleanup: Remove any scratch workspaces left by this run
+        console.log(`\n🧹 Performing final cleanup of scratch workspaces...`);
+        const removedWorkspaces = removeOwnWorkspaces();
+        if (removedWorkspaces > 0) {
+            console.log(`✨ Final cleanup completed: ${removedWorkspaces} workspace(s) removed`);
+        } else {
+            console.log(`✅ No scratch workspaces left - cleanup not needed`);
         }
         
     } catch (error) {
@@ -361,6 +458,6 @@ if (isMainThread) {
     }
     module.exports = { generateMultiLanguageVttParallel, config };
 } else {
-    // Worker thread - process video batch
+    // Worker thread - process videos from the queue
     workerFunction();
 } 
\ No newline at end of file
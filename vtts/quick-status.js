@@ -3,6 +3,7 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const { stripMediaExtension, findMediaFiles } = require('./mediaFiles.js');
 
 const config = {
     outputFolder: process.env.OUTPUT_FOLDER || './downloads',
@@ -26,8 +27,7 @@ function quickStatus() {
     }
     
     // Count files
-    const videoFiles = fs.readdirSync(config.outputFolder)
-        .filter(file => file.toLowerCase().endsWith('.mp4'));
+    const videoFiles = findMediaFiles(config.outputFolder).map(file => path.basename(file));
     
     const vttFiles = fs.readdirSync(config.vttOutputFolder)
         .filter(file => file.toLowerCase().endsWith('.vtt'));
@@ -38,7 +38,7 @@ function quickStatus() {
     
     videoFiles.forEach(videoFile => {
         // Simple check: does any VTT file contain the video name?
-        const videoTitle = videoFile.replace(/^\[[^\]]+\]_/, '').replace(/\.mp4$/, '');
+        const videoTitle = stripMediaExtension(videoFile).replace(/^\[[^\]]+\]_/, '');
         const hasVtt = vttFiles.some(vttFile => 
             vttFile.includes(videoTitle) || 
             (videoFile.startsWith('[') && vttFiles.some(v => v.includes(videoFile.match(/^\[([^\]]+)\]/)[1])))
@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { getCaption, downloadCaptionContent, hashCaptionContent } = require('../caption_replacer.js');
+const { parseSubtitleFilename } = require('../subtitle_filename.js');
+const { isMediaFile, stripMediaExtension } = require('./mediaFiles.js');
+const { findOrphanWorkspaces } = require('./scratchWorkspace.js');
+
+const GB = 1024 * 1024 * 1024;
+
+// Configuration from environment variables
+const config = {
+    outputFolder: process.env.OUTPUT_FOLDER || './downloads',
+    vttOutputFolder: process.env.VTT_OUTPUT_FOLDER || './subtitles',
+    requiredLanguages: (process.env.RETENTION_REQUIRED_LANGUAGES || process.env.CAPTION_LANGUAGES || 'ar,en,fr,es,it').split(',').map(lang => lang.trim()).filter(Boolean),
+    rules: (process.env.RETENTION_RULES || 'uploaded-media,temp-files,size-cap').split(',').map(rule => rule.trim()).filter(Boolean),
+    maxDownloadsGb: parseFloat(process.env.RETENTION_MAX_DOWNLOADS_GB) || 0, // 0 = no size cap
+    tempFileMaxAgeHours: parseFloat(process.env.RETENTION_TEMP_MAX_AGE_HOURS) || 24, // Younger temp files may belong to a running job
+    minFreeDiskGb: process.env.MIN_FREE_DISK_GB !== undefined ? parseFloat(process.env.MIN_FREE_DISK_GB) : 2, // 0 = never refuse a batch
+    planFile: process.env.RETENTION_PLAN_FILE || './retention_plan.json',
+    delayBetweenRequests: 300
+};
+
+/**
+ * Gets the free space of the disk holding a folder, in bytes
+ */
+function getFreeDiskSpace(folder) {
+    let existing = path.resolve(folder);
+    while (!fs.existsSync(existing)) {
+        existing = path.dirname(existing);
+    }
+    const stats = fs.statfsSync(existing);
+    return stats.bavail * stats.bsize;
+}
+
+/**
+ * Checks that the disk holding a folder has at least MIN_FREE_DISK_GB free before a batch starts
+ * Returns false (and explains why) when the batch should not start
+ */
+function hasEnoughFreeDiskSpace(folder) {
+    if (!config.minFreeDiskGb) {
+        return true;
+    }
+
+    const freeBytes = getFreeDiskSpace(folder);
+    const requiredBytes = config.minFreeDiskGb * GB;
+
+    if (freeBytes < requiredBytes) {
+        console.error(`❌ Not enough free disk space for ${folder}: ${(freeBytes / GB).toFixed(2)} GB free, ${config.minFreeDiskGb} GB required`);
+        console.log(`💡 Run "node retentionPolicy.js plan" to see which files can be removed, or lower MIN_FREE_DISK_GB`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Lists the media files of the downloads folder with size, age and video ID
+ */
+function listDownloads() {
+    if (!fs.existsSync(config.outputFolder)) {
+        return [];
+    }
+
+    return fs.readdirSync(config.outputFolder)
+        .filter(isMediaFile)
+        .map(file => {
+            const filePath = path.join(config.outputFolder, file);
+            const stats = fs.statSync(filePath);
+            const match = file.match(/^\[([^\]]+)\]_/);
+            return {
+                filename: file,
+                path: filePath,
+                videoId: match ? match[1] : null,
+                size: stats.size,
+                mtimeMs: stats.mtimeMs
+            };
+        });
+}
+
+/**
+ * Groups the local language VTT files by video ID
+ */
+function listLocalSubtitles() {
+    const subtitlesByVideo = new Map();
+
+    if (!fs.existsSync(config.vttOutputFolder)) {
+        return subtitlesByVideo;
+    }
+
+    for (const file of fs.readdirSync(config.vttOutputFolder)) {
+        const parsed = parseSubtitleFilename(file);
+        if (!parsed || !parsed.videoId) {
+            continue;
+        }
+        if (!subtitlesByVideo.has(parsed.videoId)) {
+            subtitlesByVideo.set(parsed.videoId, {});
+        }
+        subtitlesByVideo.get(parsed.videoId)[parsed.language] = path.join(config.vttOutputFolder, file);
+    }
+
+    return subtitlesByVideo;
+}
+
+/**
+ * Checks that every required language of a video is uploaded and, when a local VTT exists,
+ * that the uploaded caption has the same content
+ */
+async function verifyCaptionsUploaded(videoId, localSubtitles) {
+    for (const language of config.requiredLanguages) {
+        const caption = await getCaption(videoId, language);
+        if (!caption) {
+            return { verified: false, reason: `${language} caption not uploaded` };
+        }
+
+        const localPath = localSubtitles[language];
+        if (localPath) {
+            const remoteContent = await downloadCaptionContent(caption.src);
+            if (hashCaptionContent(remoteContent) !== hashCaptionContent(fs.readFileSync(localPath, 'utf8'))) {
+                return { verified: false, reason: `${language} caption differs from ${path.basename(localPath)}` };
+            }
+        }
+    }
+
+    return { verified: true };
+}
+
+/**
+ * Rule "uploaded-media": a download is no longer needed once all required languages are uploaded and verified
+ */
+async function planUploadedMedia(downloads, plan) {
+    const localSubtitles = listLocalSubtitles();
+    const candidates = downloads.filter(file => file.videoId);
+
+    console.log(`🔍 Verifying uploaded captions for ${candidates.length} downloads (${config.requiredLanguages.join(', ')})...`);
+
+    for (let i = 0; i < candidates.length; i++) {
+        const file = candidates[i];
+        try {
+            const result = await verifyCaptionsUploaded(file.videoId, localSubtitles.get(file.videoId) || {});
+            if (result.verified) {
+                addToPlan(plan, file, 'uploaded-media', `all of ${config.requiredLanguages.join(', ')} uploaded and verified`);
+            } else {
+                plan.kept.push({ path: file.path, reason: result.reason });
+            }
+        } catch (error) {
+            plan.kept.push({ path: file.path, reason: `could not verify captions: ${error.message}` });
+        }
+
+        // Add delay between videos to avoid rate limiting
+        if (i < candidates.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, config.delayBetweenRequests));
+        }
+    }
+}
+
+/**
+ * Gets the total size of the files in a directory, recursively
+ */
+function getDirectorySize(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((sum, entry) => {
+        const entryPath = path.join(dir, entry.name);
+        return sum + (entry.isDirectory() ? getDirectorySize(entryPath) : fs.statSync(entryPath).size);
+    }, 0);
+}
+
+/**
+ * Rule "temp-files": scratch workspaces of processes that no longer run (scratchWorkspace.js), plus
+ * _temp.wav files left by versions before scratch workspaces and ffmpeg partial downloads older than
+ * the age limit. Resumable .mp4.part downloads are kept
+ */
+function planTempFiles(plan) {
+    for (const { dir, owner, mtimeMs } of findOrphanWorkspaces()) {
+        const reason = owner ? `scratch workspace of pid ${owner.pid}, which no longer runs` : 'scratch workspace without owner';
+        addToPlan(plan, { path: dir, size: getDirectorySize(dir), mtimeMs, directory: true }, 'temp-files', reason);
+    }
+
+    const maxAgeMs = config.tempFileMaxAgeHours * 60 * 60 * 1000;
+    const locations = [
+        { folder: config.vttOutputFolder, matches: file => file.endsWith('_temp.wav') },
+        { folder: config.outputFolder, matches: file => file.endsWith('.ffmpeg.part') }
+    ];
+
+    for (const { folder, matches } of locations) {
+        if (!fs.existsSync(folder)) {
+            continue;
+        }
+        for (const file of fs.readdirSync(folder).filter(matches)) {
+            const filePath = path.join(folder, file);
+            const stats = fs.statSync(filePath);
+            if (Date.now() - stats.mtimeMs > maxAgeMs) {
+                addToPlan(plan, { path: filePath, size: stats.size, mtimeMs: stats.mtimeMs }, 'temp-files', `older than ${config.tempFileMaxAgeHours}h`);
+            }
+        }
+    }
+}
+
+/**
+ * Rule "size-cap": keeps the downloads folder under RETENTION_MAX_DOWNLOADS_GB by removing the oldest
+ * downloads first. Only downloads whose original VTT has already been generated are removed
+ */
+function planSizeCap(downloads, plan) {
+    if (!config.maxDownloadsGb) {
+        return;
+    }
+
+    const capBytes = config.maxDownloadsGb * GB;
+    const planned = new Set(plan.deletions.map(entry => entry.path));
+    let totalBytes = downloads.filter(file => !planned.has(file.path)).reduce((sum, file) => sum + file.size, 0);
+
+    if (totalBytes <= capBytes) {
+        return;
+    }
+
+    const removable = downloads
+        .filter(file => !planned.has(file.path))
+        .filter(file => fs.existsSync(path.join(config.vttOutputFolder, `${stripMediaExtension(file.filename)}.vtt`)))
+        .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    for (const file of removable) {
+        if (totalBytes <= capBytes) {
+            break;
+        }
+        addToPlan(plan, file, 'size-cap', `downloads over ${config.maxDownloadsGb} GB`);
+        totalBytes -= file.size;
+    }
+
+    if (totalBytes > capBytes) {
+        plan.warnings.push(`Downloads stay at ${(totalBytes / GB).toFixed(2)} GB: the remaining files have no generated VTT yet`);
+    }
+}
+
+/**
+ * Adds a file to the deletion plan, remembering its size and modification time so that apply can
+ * detect files that changed after the plan was made
+ */
+function addToPlan(plan, file, rule, reason) {
+    if (plan.deletions.some(entry => entry.path === file.path)) {
+        return;
+    }
+    plan.deletions.push({ path: file.path, size: file.size, mtimeMs: file.mtimeMs, ...(file.directory ? { directory: true } : {}), rule, reason });
+    plan.totalBytes += file.size;
+}
+
+/**
+ * Builds the deletion plan for the configured rules without deleting anything
+ */
+async function buildRetentionPlan() {
+    const plan = {
+        createdAt: new Date().toISOString(),
+        rules: config.rules,
+        deletions: [],
+        kept: [],
+        warnings: [],
+        totalBytes: 0
+    };
+    const downloads = listDownloads();
+
+    if (config.rules.includes('uploaded-media')) {
+        await planUploadedMedia(downloads, plan);
+    }
+    if (config.rules.includes('temp-files')) {
+        planTempFiles(plan);
+    }
+    if (config.rules.includes('size-cap')) {
+        planSizeCap(downloads, plan);
+    }
+
+    return plan;
+}
+
+/**
+ * Prints a deletion plan
+ */
+function printPlan(plan) {
+    console.log(`\n📋 Retention Plan (${plan.createdAt})`);
+    console.log(`📏 Rules: ${plan.rules.join(', ')}`);
+
+    if (plan.deletions.length === 0) {
+        console.log('✅ Nothing to delete');
+    }
+    plan.deletions.forEach(entry => {
+        console.log(`   🗑️  ${entry.path} (${(entry.size / (1024 * 1024)).toFixed(1)} MB) - ${entry.rule}: ${entry.reason}`);
+    });
+    plan.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    console.log(`\n📊 Files to delete: ${plan.deletions.length}`);
+    console.log(`💾 Space to free: ${(plan.totalBytes / GB).toFixed(2)} GB`);
+    console.log(`📦 Downloads kept: ${plan.kept.length}`);
+}
+
+/**
+ * Deletes the files of a saved plan
+ * Files that are gone or were modified since the plan was made are skipped
+ */
+function applyRetentionPlan(planFile) {
+    if (!fs.existsSync(planFile)) {
+        throw new Error(`Retention plan not found: ${planFile} - run "node retentionPolicy.js plan" first`);
+    }
+
+    const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+    const summary = { deleted: 0, skipped: 0, failed: 0, freedBytes: 0 };
+
+    console.log(`🗑️  Applying retention plan from ${plan.createdAt} (${plan.deletions.length} files)`);
+
+    for (const entry of plan.deletions) {
+        if (!fs.existsSync(entry.path)) {
+            console.log(`   ⏭️  Already gone: ${entry.path}`);
+            summary.skipped++;
+            continue;
+        }
+
+        const stats = fs.statSync(entry.path);
+        const size = entry.directory ? getDirectorySize(entry.path) : stats.size;
+        if (size !== entry.size || stats.mtimeMs !== entry.mtimeMs) {
+            console.log(`   ⏭️  Changed since the plan was made, keeping: ${entry.path}`);
+            summary.skipped++;
+            continue;
+        }
+
+        try {
+            if (entry.directory) {
+                fs.rmSync(entry.path, { recursive: true, force: true });
+            } else {
+                fs.unlinkSync(entry.path);
+            }
+            console.log(`   ✅ Deleted: ${entry.path}`);
+            summary.deleted++;
+            summary.freedBytes += entry.size;
+        } catch (error) {
+            console.log(`   ❌ Failed to delete ${entry.path}: ${error.message}`);
+            summary.failed++;
+        }
+    }
+
+    fs.unlinkSync(planFile);
+
+    console.log(`\n📊 Retention Summary:`);
+    console.log(`🗑️  Deleted: ${summary.deleted}`);
+    console.log(`⏭️  Skipped: ${summary.skipped}`);
+    console.log(`❌ Failed: ${summary.failed}`);
+    console.log(`💾 Freed: ${(summary.freedBytes / GB).toFixed(2)} GB`);
+
+    return summary;
+}
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node retentionPolicy.js plan           Dry run: show what would be deleted and save the plan');
+    console.log('  node retentionPolicy.js apply [file]   Delete the files listed in a saved plan');
+    console.log('  node retentionPolicy.js disk           Show free disk space for downloads and subtitles');
+    console.log('');
+    console.log(`Rules (RETENTION_RULES): ${config.rules.join(', ')}`);
+    console.log('  uploaded-media  Delete downloads once all required languages are uploaded and verified');
+    console.log('  temp-files      Delete orphaned scratch workspaces, old legacy _temp.wav files and ffmpeg partial downloads');
+    console.log('  size-cap        Keep downloads under RETENTION_MAX_DOWNLOADS_GB, oldest first');
+}
+
+// Execute if this file is run directly
+if (require.main === module) {
+    const command = process.argv[2];
+
+    if (command === 'plan') {
+        buildRetentionPlan()
+            .then(plan => {
+                printPlan(plan);
+                fs.writeFileSync(config.planFile, JSON.stringify(plan, null, 2));
+                console.log(`\n💾 Plan saved to: ${config.planFile}`);
+                console.log(`💡 Review it, then run "node retentionPolicy.js apply" to delete these files`);
+            })
+            .catch(error => {
+                console.error('❌ Error building retention plan:', error.message);
+                process.exit(1);
+            });
+    } else if (command === 'apply') {
+        try {
+            const summary = applyRetentionPlan(process.argv[3] || config.planFile);
+            process.exit(summary.failed > 0 ? 1 : 0);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exit(1);
+        }
+    } else if (command === 'disk') {
+        [config.outputFolder, config.vttOutputFolder].forEach(folder => {
+            console.log(`💾 ${folder}: ${(getFreeDiskSpace(folder) / GB).toFixed(2)} GB free`);
+        });
+        console.log(`🛑 Batches refuse to start below: ${config.minFreeDiskGb ? `${config.minFreeDiskGb} GB` : 'disabled'}`);
+    } else {
+        printUsage();
+        process.exit(command ? 1 : 0);
+    }
+}
+
+module.exports = {
+    buildRetentionPlan,
+    applyRetentionPlan,
+    printPlan,
+    getFreeDiskSpace,
+    hasEnoughFreeDiskSpace,
+    config
+};
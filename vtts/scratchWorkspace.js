@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { threadId } = require('worker_threads');
+const { registerShutdownStep } = require('./shutdown.js');
+
+/*
+ * Scratch workspaces
+ *
+ * Every caption job gets its own directory under SCRATCH_ROOT for its extracted audio, chunks and
+ * Whisper output, so videos with the same title and parallel workers never share a temp file. The
+ * directory holds an owner.json (pid, thread, host) and is removed when the job ends, succeeds or
+ * fails. On SIGINT/SIGTERM or exit the process removes all of its workspaces, including those of its
+ * worker threads; the sweep command reclaims workspaces whose process is gone (e.g. after a crash).
+ */
+
+// Configuration from environment variables
+const config = {
+    scratchRoot: process.env.SCRATCH_ROOT || './scratch',
+    orphanMinAgeMinutes: parseFloat(process.env.SCRATCH_ORPHAN_MIN_AGE_MINUTES) || 10 // Never sweep younger workspaces of other hosts or without owner
+};
+
+const OWNER_FILE = 'owner.json';
+const hostname = os.hostname();
+
+/**
+ * Makes a label safe and short enough for a directory name
+ */
+function toDirectoryLabel(label) {
+    return String(label || 'job').replace(/[^\p{L}\p{N}_[\]-]+/gu, '_').slice(0, 60) || 'job';
+}
+
+/**
+ * Reads the owner of a workspace directory, or null when it has none (or it is unreadable)
+ */
+function readOwner(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, OWNER_FILE), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a process is still running
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Removes a workspace directory and everything in it
+ */
+function removeWorkspaceDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Lists all workspaces under the scratch root: [{ dir, owner, mtimeMs }]
+ */
+function listWorkspaces() {
+    if (!fs.existsSync(config.scratchRoot)) {
+        return [];
+    }
+
+    return fs.readdirSync(config.scratchRoot, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => {
+            const dir = path.join(config.scratchRoot, entry.name);
+            return { dir, owner: readOwner(dir), mtimeMs: fs.statSync(dir).mtimeMs };
+        });
+}
+
+/**
+ * Removes the workspaces of this process, or only those of one of its threads
+ */
+function removeOwnWorkspaces(ownerThreadId = null) {
+    let removed = 0;
+    for (const { dir, owner } of listWorkspaces()) {
+        if (owner && owner.pid === process.pid && owner.hostname === hostname &&
+            (ownerThreadId === null || owner.threadId === ownerThreadId)) {
+            removeWorkspaceDir(dir);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+// The main thread removes its workspaces (and those of its worker threads) on SIGINT/SIGTERM and exit,
+// after the transcription commands writing into them were stopped (shutdown.js)
+if (threadId === 0) {
+    registerShutdownStep({
+        name: 'scratch workspaces',
+        order: 20,
+        onSignal(signal) {
+            const removed = removeOwnWorkspaces();
+            console.log(`🛑 ${signal} received, removed ${removed} scratch workspace(s)`);
+        },
+        onExit() {
+            removeOwnWorkspaces();
+        }
+    });
+}
+
+/**
+ * Creates a scratch workspace for a job
+ * Returns { dir, path(name), cleanup() }; cleanup() is safe to call more than once
+ */
+function createWorkspace(label) {
+    const dir = path.join(config.scratchRoot, `${toDirectoryLabel(label)}-${process.pid}-${threadId}-${crypto.randomBytes(4).toString('hex')}`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, OWNER_FILE), JSON.stringify({
+        label,
+        pid: process.pid,
+        threadId,
+        hostname,
+        createdAt: new Date().toISOString()
+    }, null, 2));
+
+    return {
+        dir,
+        path: (name) => path.join(dir, name),
+        cleanup: () => removeWorkspaceDir(dir)
+    };
+}
+
+/**
+ * Finds workspaces left behind by processes that no longer run
+ * Workspaces of other hosts or without an owner file are only orphans once older than the minimum age
+ */
+function findOrphanWorkspaces() {
+    const minAgeMs = config.orphanMinAgeMinutes * 60 * 1000;
+
+    return listWorkspaces().filter(({ owner, mtimeMs }) => {
+        if (owner && owner.hostname === hostname) {
+            return !isProcessAlive(owner.pid);
+        }
+        return Date.now() - mtimeMs > minAgeMs;
+    });
+}
+
+/**
+ * Removes orphaned workspaces, returns the removed (or with dryRun, the removable) directories
+ */
+function sweepOrphanWorkspaces(options = {}) {
+    const { dryRun = false } = options;
+    const orphans = findOrphanWorkspaces();
+
+    orphans.forEach(({ dir, owner }) => {
+        const ownerText = owner ? `pid ${owner.pid} on ${owner.hostname}` : 'no owner';
+        if (dryRun) {
+            console.log(`   📋 Would remove: ${dir} (${ownerText})`);
+        } else {
+            removeWorkspaceDir(dir);
+            console.log(`   🗑️  Removed: ${dir} (${ownerText})`);
+        }
+    });
+
+    return orphans.map(({ dir }) => dir);
+}
+
+// Execute if this file is run directly
+if (require.main === module) {
+    const command = process.argv[2];
+
+    if (command === 'list') {
+        const workspaces = listWorkspaces();
+        console.log(`📂 Scratch workspaces in ${config.scratchRoot}: ${workspaces.length}`);
+        workspaces.forEach(({ dir, owner }) => {
+            const state = owner && owner.hostname === hostname ? (isProcessAlive(owner.pid) ? 'running' : 'orphaned') : 'unknown owner';
+            console.log(`   ${path.basename(dir)} - ${owner ? `${owner.label}, pid ${owner.pid}, since ${owner.createdAt}` : 'no owner file'} (${state})`);
+        });
+    } else if (command === 'sweep') {
+        const dryRun = process.argv.includes('--dry-run');
+        console.log(`🧹 Sweeping orphaned scratch workspaces in ${config.scratchRoot}${dryRun ? ' (dry run)' : ''}...`);
+        const swept = sweepOrphanWorkspaces({ dryRun });
+        console.log(`✨ ${swept.length} orphaned workspace(s) ${dryRun ? 'found' : 'removed'}`);
+    } else {
+        console.log('Usage:');
+        console.log('  node scratchWorkspace.js list               List scratch workspaces and whether their process still runs');
+        console.log('  node scratchWorkspace.js sweep [--dry-run]  Remove workspaces left behind by processes that no longer run');
+        process.exit(command ? 1 : 0);
+    }
+}
+
+module.exports = {
+    createWorkspace,
+    removeOwnWorkspaces,
+    sweepOrphanWorkspaces,
+    findOrphanWorkspaces,
+    listWorkspaces,
+    config
+};
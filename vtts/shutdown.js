@@ -0,0 +1,98 @@
+const { isMainThread } = require('worker_threads');
+
+/*
+ * Ordered shutdown
+ *
+ * Modules that leave something behind outside the process (Whisper processes, scratch workspaces)
+ * register a shutdown step instead of handling signals themselves. On SIGINT/SIGTERM the main thread
+ * runs the steps one after the other by order (Whisper is stopped before the workspace it writes into
+ * is removed), then raises the signal again once, so the process still ends with the usual status.
+ * On a normal exit, or a second signal during shutdown, only the synchronous onExit variants run.
+ */
+
+const steps = [];
+const signalListeners = {};
+let handlersInstalled = false;
+let shuttingDown = false;
+
+/**
+ * Runs the synchronous variant of every step
+ */
+function runExitSteps() {
+    for (const step of steps) {
+        try {
+            if (step.onExit) {
+                step.onExit();
+            }
+        } catch (error) {
+            console.error(`❌ Shutdown step "${step.name}" failed: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Ends the process with a signal, without running the handlers again
+ */
+function raiseSignal(signal) {
+    process.removeListener(signal, signalListeners[signal]);
+    process.kill(process.pid, signal);
+}
+
+/**
+ * Runs the steps in order, then raises the signal again
+ */
+async function shutdown(signal) {
+    if (shuttingDown) {
+        console.log(`\n🛑 ${signal} received again, stopping immediately`);
+        runExitSteps();
+        raiseSignal(signal);
+        return;
+    }
+    shuttingDown = true;
+
+    for (const step of [...steps]) {
+        try {
+            await step.onSignal(signal);
+        } catch (error) {
+            console.error(`❌ Shutdown step "${step.name}" failed: ${error.message}`);
+        }
+    }
+    raiseSignal(signal);
+}
+
+/**
+ * Installs the signal and exit handlers (once, in the main thread; worker threads receive no signals)
+ */
+function installHandlers() {
+    if (handlersInstalled || !isMainThread) {
+        return;
+    }
+    handlersInstalled = true;
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        signalListeners[signal] = () => shutdown(signal);
+        process.on(signal, signalListeners[signal]);
+    }
+    process.once('exit', runExitSteps);
+}
+
+/**
+ * Registers a shutdown step: { name, order, onSignal(signal) (may be async), onExit() (synchronous) }
+ * Steps with a lower order run first; returns a function that unregisters the step
+ */
+function registerShutdownStep(step) {
+    installHandlers();
+    steps.push(step);
+    steps.sort((a, b) => a.order - b.order);
+
+    return () => {
+        const index = steps.indexOf(step);
+        if (index !== -1) {
+            steps.splice(index, 1);
+        }
+    };
+}
+
+module.exports = {
+    registerShutdownStep
+};
@@ -2,8 +2,12 @@
 
 require('dotenv').config();
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const ApiVideoClient = require('@api.video/nodejs-client');
+const { replaceCaption, downloadCaptionContent } = require('../caption_replacer.js');
+const { assertNoPlaceholders } = require('../subtitle_placeholders.js');
+const { sweepOrphanWorkspaces } = require('./scratchWorkspace.js');
 
 // Configuration from environment variables
 const config = {
@@ -78,7 +82,7 @@ function getVttFilesByVideoId() {
     
     console.log(`📄 Found ${vttFiles.length} VTT files`);
     if (tempWavFiles.length > 0) {
-        console.log(`⚠️  Found ${tempWavFiles.length} temporary WAV files (will be ignored)`);
+        console.log(`⚠️  Found ${tempWavFiles.length} legacy temporary WAV files (will be ignored)`);
     }
     
     const videoGroups = {};
@@ -172,6 +176,7 @@ async function uploadCaption(videoId, vttFilePath, language, isDefault = false)
         
         // Read the file as a buffer
         const fileBuffer = fs.readFileSync(filePath);
+        assertNoPlaceholders(fileBuffer, vttFilePath);
         
         // Approach 1: Pass file path
         try {
@@ -211,6 +216,59 @@ async function uploadCaption(videoId, vttFilePath, language, isDefault = false)
     }
 }
 
+/**
+ * Wraps the API.video client in the caption operations used by replaceCaption
+ */
+function getClientCaptionApi() {
+    return {
+        getCaption: async (videoId, language) => {
+            try {
+                const caption = await client.captions.get(videoId, language);
+                return { src: caption.src, default: caption._default };
+            } catch (error) {
+                if (error.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        downloadCaptionContent,
+        deleteCaption: async (videoId, language) => {
+            try {
+                await client.captions.delete(videoId, language);
+                console.log(`🗑️  Deleted existing ${language} caption for video ${videoId}`);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+        uploadCaptionContent: async (videoId, language, vttContent, filename) => {
+            // The client sends a file path as a .vtt part (text/vtt), like uploadCaption; a Buffer has neither
+            const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caption-upload-'));
+            const baseName = path.basename(filename || `${language}.vtt`);
+            const tempPath = path.join(tempDir, baseName.toLowerCase().endsWith('.vtt') ? baseName : `${baseName}.vtt`);
+            try {
+                fs.writeFileSync(tempPath, vttContent, 'utf8');
+                await client.captions.upload(videoId, language, tempPath);
+                return { success: true };
+            } catch (error) {
+                console.error(`❌ Failed to upload ${language} caption for video ${videoId}:`, error.message);
+                return { success: false, error: error.message };
+            } finally {
+                fs.rmSync(tempDir, { recursive: true, force: true });
+            }
+        },
+        setDefaultCaption: async (videoId, language) => {
+            try {
+                await client.captions.update(videoId, language, { _default: true });
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        }
+    };
+}
+
 /**
  * Update an existing caption file
  */
@@ -231,23 +289,16 @@ async function updateCaption(videoId, vttFilePath, language) {
             return true;
         }
         
-        // For updating captions, we need to delete the old one and upload the new one
-        // because the API.video client doesn't have a direct file update method
-        try {
-            await client.captions.delete(videoId, language);
-            console.log(`🗑️  Deleted existing ${language} caption for video ${videoId}`);
-        } catch (deleteError) {
-            console.log(`⚠️  Could not delete existing ${language} caption (may not exist): ${deleteError.message}`);
-        }
-        
-        // Now upload the new caption using the upload function
-        const success = await uploadCaption(videoId, vttFilePath, language, false);
+        // The API.video client has no file update method, so the caption is replaced
+        // (backup, delete, upload) and the backup is restored if the upload fails
+        const vttContent = fs.readFileSync(filePath, 'utf8');
+        const result = await replaceCaption(videoId, language, vttContent, vttFilePath, { api: getClientCaptionApi() });
         
-        if (success) {
+        if (result.success) {
             console.log(`✅ Successfully updated ${language} caption for video ${videoId}`);
             return true;
         } else {
-            throw new Error('Upload failed during update');
+            throw new Error(result.rolledBack ? `Upload failed, previous caption restored: ${result.error}` : result.error);
         }
         
     } catch (error) {
@@ -348,16 +399,21 @@ async function processVideoCaption(videoData) {
 }
 
 /**
- * Clean up temporary WAV files
+ * Clean up orphaned scratch workspaces and legacy temporary WAV files (written before scratch workspaces)
  */
 function cleanupTempFiles() {
+    const sweptWorkspaces = sweepOrphanWorkspaces();
+    if (sweptWorkspaces.length > 0) {
+        console.log(`✨ Removed ${sweptWorkspaces.length} orphaned scratch workspace(s)`);
+    }
+    
     if (!fs.existsSync(config.vttOutputFolder)) return;
     
     const files = fs.readdirSync(config.vttOutputFolder);
     const tempWavFiles = files.filter(file => file.endsWith('_temp.wav'));
     
     if (tempWavFiles.length > 0) {
-        console.log(`\n🧹 Cleaning up ${tempWavFiles.length} temporary WAV files...`);
+        console.log(`\n🧹 Cleaning up ${tempWavFiles.length} legacy temporary WAV files...`);
         
         let cleanedCount = 0;
         tempWavFiles.forEach(file => {
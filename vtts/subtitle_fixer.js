@@ -3,6 +3,8 @@ const path = require('path');
 const axios = require('axios');
 const FormData = require('form-data');
 const { getAccessToken, makeAuthenticatedRequest } = require('../auth.js');
+const { replaceCaption } = require('../caption_replacer.js');
+const { assertNoPlaceholders } = require('../subtitle_placeholders.js');
 
 // Configuration from environment variables
 const config = {
@@ -251,6 +253,8 @@ async function deleteCaption(videoId, language) {
  */
 async function uploadCaption(videoId, vttContent, language, filename) {
     try {
+        assertNoPlaceholders(vttContent, filename);
+        
         console.log(`📤 Uploading ${language} caption for video ${videoId}...`);
         
         // Create form data
@@ -291,25 +295,16 @@ async function moveCaption(videoId, fromLanguage, toLanguage, vttContent, filena
     try {
         console.log(`🔄 Moving caption from ${fromLanguage} to ${toLanguage} for video ${videoId}...`);
         
-        // Step 1: Check if target language already has a caption
-        const captionsResult = await getVideoCaptions(videoId);
-        let targetCaptionExists = false;
-        
-        if (captionsResult.success) {
-            const existingTargetCaption = captionsResult.captions.find(caption => caption.srclang === toLanguage);
-            if (existingTargetCaption) {
-                targetCaptionExists = true;
-                console.log(`⚠️  Target language ${toLanguage} already has a caption. Will replace it.`);
-                
-                // Delete existing target caption first
-                const deleteTargetResult = await deleteCaption(videoId, toLanguage);
-                if (!deleteTargetResult.success) {
-                    return { success: false, error: `Could not delete existing ${toLanguage} caption: ${deleteTargetResult.error}` };
-                }
-            }
+        // Step 1: Replace the target language slot (the existing caption is backed up and
+        // restored if the upload fails)
+        const replaceResult = await replaceCaption(videoId, toLanguage, vttContent, filename);
+        if (!replaceResult.success) {
+            const rollbackNote = replaceResult.rolledBack ? ' (previous caption restored)' : '';
+            return { success: false, error: `Failed to upload to ${toLanguage}: ${replaceResult.error}${rollbackNote}` };
         }
         
-        // Step 2: Delete the incorrectly labeled caption (if different from target)
+        // Step 2: Delete the incorrectly labeled caption (if different from target), only once
+        // the caption is safely in its new slot
         if (fromLanguage && fromLanguage !== toLanguage) {
             const deleteResult = await deleteCaption(videoId, fromLanguage);
             if (!deleteResult.success) {
@@ -317,14 +312,8 @@ async function moveCaption(videoId, fromLanguage, toLanguage, vttContent, filena
             }
         }
         
-        // Step 3: Upload to correct language slot
-        const uploadResult = await uploadCaption(videoId, vttContent, toLanguage, filename);
-        if (!uploadResult.success) {
-            return { success: false, error: `Failed to upload to ${toLanguage}: ${uploadResult.error}` };
-        }
-        
         console.log(`✅ Successfully moved caption from ${fromLanguage || 'unknown'} to ${toLanguage}`);
-        return { success: true, replaced: targetCaptionExists };
+        return { success: true, replaced: replaceResult.action === 'updated' };
         
     } catch (error) {
         console.error(`❌ Error moving caption:`, error.message);
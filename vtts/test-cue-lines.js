@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { buildCues, renderCueText, getPreset } = require('./cueBuilder.js');
+
+// Sample vocabularies; Chinese words carry no leading space, like Whisper emits them
+const vocabularies = {
+    en: {
+        separator: ' ',
+        words: ['the', 'quick', 'brown', 'fox', 'jumps', 'over', 'and', 'but', 'is', 'it', 'so', 'responsibilities',
+            'internationalization', 'captions', 'video,', 'reading.', 'speed', 'really?', 'subtitle', 'line']
+    },
+    ar: {
+        separator: ' ',
+        words: ['مرحبا', 'بكم', 'في', 'هذا', 'الفيديو،', 'المسؤوليات', 'والاستراتيجيات', 'التعليمية', 'اليوم.', 'كيف', 'حالك؟', 'نحن']
+    },
+    zh: {
+        separator: '',
+        words: ['我们', '今天', '讨论', '字幕', '的', '长度', '，', '这个', '视频', '非常', '重要', '。', '国际化', '问题']
+    }
+};
+
+/**
+ * Small seeded random generator so failures can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Generates transcription segments of random words, with or without word timestamps
+ */
+function generateSegments(language, random, withWords) {
+    const { separator, words } = vocabularies[language];
+    const segments = [];
+    let time = 0;
+
+    for (let s = 0; s < 20; s++) {
+        const segmentWords = [];
+        const count = 3 + Math.floor(random() * 25);
+        for (let w = 0; w < count; w++) {
+            const start = time;
+            time += 0.15 + random() * 0.4;
+            segmentWords.push({ word: `${separator}${words[Math.floor(random() * words.length)]}`, start, end: time });
+        }
+        segments.push({
+            start: segmentWords[0].start,
+            end: time,
+            text: segmentWords.map(word => word.word).join(''),
+            words: withWords ? segmentWords : undefined
+        });
+        time += random() < 0.2 ? 2 : 0.1;
+    }
+
+    return segments;
+}
+
+/**
+ * Test script for the cue builder: no rendered caption line may exceed the preset limits
+ */
+function testCueLines() {
+    console.log('🔍 Testing caption line limits');
+    console.log('─'.repeat(60));
+
+    let failures = 0;
+
+    for (const language of Object.keys(vocabularies)) {
+        const preset = getPreset(language);
+        let cueCount = 0;
+        let longestLine = 0;
+
+        for (let seed = 1; seed <= 200; seed++) {
+            const random = createRandom(seed);
+            const segments = generateSegments(language, random, seed % 2 === 0);
+
+            for (const cue of buildCues(segments, { language })) {
+                cueCount++;
+                const lines = renderCueText(cue, { karaoke: false }).split('\n');
+                lines.forEach(line => {
+                    longestLine = Math.max(longestLine, line.length);
+                });
+
+                if (lines.length > preset.maxLines || lines.some(line => line.length > preset.maxLineChars)) {
+                    failures++;
+                    if (failures <= 10) {
+                        console.log(`   ❌ ${language} (seed ${seed}): ${JSON.stringify(lines)}`);
+                    }
+                }
+            }
+        }
+
+        console.log(`${language}: ${cueCount} cues, longest line ${longestLine}/${preset.maxLineChars} characters`);
+    }
+
+    console.log('\n' + '─'.repeat(60));
+    console.log(failures > 0 ? `❌ ${failures} cue(s) exceed the line limits` : '✅ All cues fit the line limits');
+    return failures === 0;
+}
+
+// Run the test
+if (require.main === module) {
+    process.exit(testCueLines() ? 0 : 1);
+}
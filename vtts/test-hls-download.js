@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const ffmpeg = require('fluent-ffmpeg');
+const { downloadVideo, getAudioExtension, config } = require('./videoDownloader.js');
+
+/**
+ * Generates a short local HLS stream (test pattern video + sine tone) to use as a fixture
+ */
+function createHlsFixture(fixtureDir) {
+    return new Promise((resolve, reject) => {
+        ffmpeg()
+            .input('testsrc=duration=6:size=320x240:rate=25')
+            .inputFormat('lavfi')
+            .input('sine=frequency=440:duration=6')
+            .inputFormat('lavfi')
+            .videoCodec('libx264')
+            .audioCodec('aac')
+            .outputOptions(['-hls_time', '2', '-hls_playlist_type', 'vod'])
+            .format('hls')
+            .on('end', () => resolve(path.join(fixtureDir, 'index.m3u8')))
+            .on('error', reject)
+            .save(path.join(fixtureDir, 'index.m3u8'));
+    });
+}
+
+/**
+ * Serves the fixture folder over HTTP on a random local port
+ */
+function serveFolder(folder) {
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            const filePath = path.join(folder, path.basename(req.url));
+            if (!fs.existsSync(filePath)) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200);
+            fs.createReadStream(filePath).pipe(res);
+        });
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+/**
+ * Test script for the HLS fallback of the video downloader
+ * Downloads a local HLS fixture as a remuxed MP4 and as an audio-only M4A
+ */
+async function testHlsDownload() {
+    console.log('🔍 Testing HLS fallback download');
+    console.log('─'.repeat(60));
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-download-test-'));
+    const fixtureDir = path.join(workDir, 'fixture');
+    fs.mkdirSync(fixtureDir);
+
+    let server = null;
+    let failed = false;
+
+    try {
+        console.log('🎬 Creating HLS fixture...');
+        await createHlsFixture(fixtureDir);
+        server = await serveFolder(fixtureDir);
+        const playlistUrl = `http://127.0.0.1:${server.address().port}/index.m3u8`;
+        console.log(`📺 Serving fixture at: ${playlistUrl}`);
+
+        const video = { videoId: 'vitesthls0000000000000', title: 'HLS fixture', assets: { hls: playlistUrl } };
+
+        for (const audioOnly of [false, true]) {
+            config.hlsAudioOnly = audioOnly;
+            console.log(`\n▶️  ${audioOnly ? 'Audio only' : 'Remux to MP4'}`);
+
+            // A separate folder per pass, otherwise the audio-only pass skips because the MP4 already exists
+            const outputDir = path.join(workDir, audioOnly ? 'audio' : 'video');
+            fs.mkdirSync(outputDir);
+
+            const expectedStatus = audioOnly ? 'hls_audio' : 'hls_remuxed';
+            const expectedExtension = audioOnly ? getAudioExtension() : '.mp4';
+
+            const result = await downloadVideo(video, outputDir, 1, 1);
+            const size = result.filepath && fs.existsSync(result.filepath) ? fs.statSync(result.filepath).size : 0;
+
+            if (result.status !== expectedStatus) {
+                console.log(`   ❌ Expected status ${expectedStatus}, got ${result.status}${result.error ? `: ${result.error}` : ''}`);
+                failed = true;
+            } else if (!result.filepath || path.extname(result.filepath) !== expectedExtension) {
+                console.log(`   ❌ Expected a ${expectedExtension} file, got ${result.filepath ? path.basename(result.filepath) : 'none'}`);
+                failed = true;
+            } else if (result.success && size > 0) {
+                console.log(`   ✅ ${result.status}: ${path.basename(result.filepath)} (${size} bytes)`);
+            } else {
+                console.log(`   ❌ ${result.status}: ${result.error || 'no output file'}`);
+                failed = true;
+            }
+        }
+    } finally {
+        if (server) {
+            server.close();
+        }
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '─'.repeat(60));
+    console.log(failed ? '❌ HLS fallback test failed' : '✅ HLS fallback test passed');
+    return !failed;
+}
+
+// Run the test
+if (require.main === module) {
+    testHlsDownload()
+        .then(passed => process.exit(passed ? 0 : 1))
+        .catch(error => {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,232 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/*
+ * Whisper hallucination and repetition filter
+ *
+ * On silence and music Whisper tends to invent text: outro phrases ("Thank you for watching"),
+ * lines repeated from the previous segment, or one sentence looped many times. Each segment is checked
+ * against the audio analysis (silence and non-speech regions), Whisper's own segment scores and
+ * repetition, then dropped or flagged. Every decision is written to a QA log per video.
+ */
+
+// Configuration from environment variables (score thresholds default to the ones Whisper itself uses)
+const config = {
+    enabled: process.env.HALLUCINATION_FILTER !== 'false',
+    noSpeechThreshold: parseFloat(process.env.NO_SPEECH_THRESHOLD) || 0.6, // no_speech_prob above this...
+    logprobThreshold: parseFloat(process.env.LOGPROB_THRESHOLD) || -1.0, // ...with avg_logprob below this = no speech
+    compressionRatioThreshold: parseFloat(process.env.COMPRESSION_RATIO_THRESHOLD) || 2.4, // Higher = repetitive text
+    maxRepeatedLines: parseInt(process.env.MAX_REPEATED_LINES) || 2, // Identical consecutive lines kept before the rest are dropped
+    silenceOverlap: 0.8, // Share of a segment inside detected silence that marks it as invented
+    qaLogFolder: process.env.QA_LOG_FOLDER || './qa_logs'
+};
+
+// Phrases Whisper is known to produce on silence or music, taken from the subtitles of its training data
+const hallucinationPatterns = [
+    /thanks? (you )?(so much |very much )?for watching/i,
+    /please (like and )?subscribe/i,
+    /(subtitles|captions|transcription) (by|made by|provided by)/i,
+    /amara\.org/i,
+    /see you (in the )?next (video|time)/i,
+    /merci d'avoir regardé/i,
+    /sous-titr(es|age) (par|réalisés)/i,
+    /gracias por ver/i,
+    /subtítulos (por|realizados)/i,
+    /grazie per la visione/i,
+    /sottotitoli (a cura|creati)/i,
+    /اشتركوا? في القناة/,
+    /شكرا (لكم )?على المشاهدة/,
+    /ترجمة نانسي قنقر/
+];
+
+/**
+ * Normalizes segment text for repetition checks (case, punctuation and spacing are ignored)
+ */
+function normalizeText(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Computes Whisper's compression ratio (text bytes / zlib-compressed bytes) for backends that do not report it
+ */
+function compressionRatio(text) {
+    const bytes = Buffer.from(text || '', 'utf8');
+    return bytes.length === 0 ? 0 : bytes.length / zlib.deflateSync(bytes).length;
+}
+
+/**
+ * Measures how much of [start, end] lies inside the given regions (0 to 1)
+ */
+function overlapShare(start, end, regions) {
+    const duration = end - start;
+    if (duration <= 0) {
+        return 0;
+    }
+
+    const covered = regions.reduce((sum, region) =>
+        sum + Math.max(0, Math.min(end, region.end === null ? Infinity : region.end) - Math.max(start, region.start)), 0);
+    return Math.min(1, covered / duration);
+}
+
+/**
+ * Checks one segment and returns { drop: [reasons], flag: [reasons] }
+ */
+function checkSegment(segment, audioAnalysis) {
+    const drop = [];
+    const flag = [];
+    const text = (segment.text || '').trim();
+
+    if (text.length === 0) {
+        drop.push('empty');
+        return { drop, flag };
+    }
+
+    const silenceSegments = (audioAnalysis && audioAnalysis.silenceSegments) || [];
+    const nonSpeechRegions = ((audioAnalysis && audioAnalysis.regions) || [])
+        .filter(region => region.type !== 'speech');
+
+    const inSilence = overlapShare(segment.start, segment.end, silenceSegments) >= config.silenceOverlap;
+    const inNonSpeech = overlapShare(segment.start, segment.end, nonSpeechRegions) >= 0.5;
+    const lowConfidence = Number.isFinite(segment.avg_logprob) && segment.avg_logprob < config.logprobThreshold;
+    const noSpeech = Number.isFinite(segment.no_speech_prob) && segment.no_speech_prob > config.noSpeechThreshold;
+    const ratio = Number.isFinite(segment.compression_ratio) ? segment.compression_ratio : compressionRatio(text);
+
+    if (inSilence) {
+        drop.push('inside silence');
+    }
+    if (noSpeech && lowConfidence) {
+        drop.push(`no speech (no_speech_prob ${segment.no_speech_prob.toFixed(2)}, avg_logprob ${segment.avg_logprob.toFixed(2)})`);
+    } else if (lowConfidence) {
+        flag.push(`low confidence (avg_logprob ${segment.avg_logprob.toFixed(2)})`);
+    }
+    if (ratio > config.compressionRatioThreshold) {
+        drop.push(`repetitive text (compression ratio ${ratio.toFixed(2)})`);
+    }
+
+    if (hallucinationPatterns.some(pattern => pattern.test(text))) {
+        // A real outro is possible, so the phrase alone only flags the segment
+        if (inNonSpeech || noSpeech || lowConfidence) {
+            drop.push('known hallucination phrase outside speech');
+        } else {
+            flag.push('known hallucination phrase');
+        }
+    }
+
+    return { drop, flag };
+}
+
+/**
+ * Filters the segments of a transcription
+ * Returns { transcription, dropped, flagged } where transcription only keeps the accepted segments
+ */
+function filterTranscription(transcription, audioAnalysis) {
+    const segments = transcription.segments || [];
+
+    if (!config.enabled || segments.length === 0) {
+        return { transcription, dropped: [], flagged: [] };
+    }
+
+    const dropped = [];
+    const flagged = [];
+    const kept = [];
+    const record = (segment, reasons) => ({
+        start: segment.start,
+        end: segment.end,
+        text: (segment.text || '').trim(),
+        reasons
+    });
+
+    // Runs of identical consecutive lines keep their first maxRepeatedLines lines, the excess is dropped
+    const repeated = new Set();
+    for (let i = 0; i < segments.length;) {
+        let runEnd = i + 1;
+        const normalized = normalizeText(segments[i].text);
+        while (runEnd < segments.length && normalizeText(segments[runEnd].text) === normalized) {
+            runEnd++;
+        }
+        if (normalized) {
+            for (let j = i + config.maxRepeatedLines; j < runEnd; j++) {
+                repeated.add(j);
+            }
+        }
+        i = runEnd;
+    }
+
+    segments.forEach((segment, index) => {
+        const { drop, flag } = checkSegment(segment, audioAnalysis);
+        if (repeated.has(index)) {
+            drop.push('repeated line');
+        }
+
+        if (drop.length > 0) {
+            dropped.push(record(segment, drop));
+        } else {
+            if (flag.length > 0) {
+                flagged.push(record(segment, flag));
+            }
+            kept.push(segment);
+        }
+    });
+
+    if (dropped.length > 0 || flagged.length > 0) {
+        console.log(`🧹 Transcript filter: dropped ${dropped.length}, flagged ${flagged.length} of ${segments.length} segments`);
+    }
+
+    return {
+        transcription: {
+            ...transcription,
+            text: kept.map(segment => segment.text.trim()).join(' '),
+            segments: kept
+        },
+        dropped,
+        flagged
+    };
+}
+
+/**
+ * Records the filter result of one language in the video's QA log (<qaLogFolder>/<video>.qa.json)
+ */
+function writeQaLog(videoName, languageCode, result) {
+    if (!config.enabled) {
+        return null;
+    }
+
+    fs.mkdirSync(config.qaLogFolder, { recursive: true });
+    const logPath = path.join(config.qaLogFolder, `${videoName}.qa.json`);
+
+    let log = { video: videoName, languages: {} };
+    if (fs.existsSync(logPath)) {
+        try {
+            log = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+        } catch (error) {
+            console.log(`⚠️  Replacing unreadable QA log ${path.basename(logPath)}`);
+        }
+    }
+
+    log.languages[languageCode || 'unknown'] = {
+        checkedAt: new Date().toISOString(),
+        thresholds: {
+            noSpeech: config.noSpeechThreshold,
+            logprob: config.logprobThreshold,
+            compressionRatio: config.compressionRatioThreshold,
+            maxRepeatedLines: config.maxRepeatedLines
+        },
+        keptSegments: result.transcription.segments.length,
+        dropped: result.dropped,
+        flagged: result.flagged
+    };
+
+    fs.writeFileSync(logPath, JSON.stringify(log, null, 2));
+    return logPath;
+}
+
+module.exports = {
+    filterTranscription,
+    writeQaLog,
+    checkSegment,
+    compressionRatio,
+    hallucinationPatterns,
+    config
+};
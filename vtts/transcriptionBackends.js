@@ -0,0 +1,679 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+const { spawn, exec } = require('child_process');
+const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { isMainThread } = require('worker_threads');
+const { getAudioDuration } = require('./chunkedTranscription.js');
+const { registerShutdownStep } = require('./shutdown.js');
+
+const execAsync = promisify(exec);
+
+/*
+ * Transcription backend registry
+ *
+ * Every backend has the same contract:
+ *   name          unique name used to select it (TRANSCRIPTION_BACKEND, --backend, backend map)
+ *   isAvailable() resolves to true when the backend can run on this machine
+ *   transcribe(audioPath, { language, task, model, wordTimestamps, prompt })
+ *                 resolves to { text, segments: [{ start, end, text, words }], language } with times in seconds,
+ *                 where words (when requested and supported) are [{ word, start, end }] and each word keeps
+ *                 its leading space, and Whisper's segment scores (no_speech_prob, avg_logprob,
+ *                 compression_ratio) are passed through when the backend reports them,
+ *                 or throws when transcription fails. language is a forced language code (null = detect),
+ *                 task is 'transcribe' or 'translate' (to English), prompt is an initial prompt with
+ *                 vocabulary that steers spelling (null = none)
+ *   describe(options)
+ *                 returns the settings that affect the output for these options (model, language, task...),
+ *                 used to key the transcription cache
+ */
+
+// Configuration from environment variables
+const config = {
+    backend: process.env.TRANSCRIPTION_BACKEND || 'auto', // Backend for the whole run, 'auto' = first available
+    backendMapFile: process.env.TRANSCRIPTION_BACKEND_MAP || null, // JSON file of { "videoId": "backend" } overrides
+    whisperModel: process.env.WHISPER_MODEL || 'base',
+    whisperBin: process.env.WHISPER_BIN || 'whisper',
+    fasterWhisperBin: process.env.FASTER_WHISPER_BIN || 'whisper-ctranslate2',
+    fasterWhisperComputeType: process.env.FASTER_WHISPER_COMPUTE_TYPE || 'int8',
+    whisperCppBin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+    whisperCppModel: process.env.WHISPER_CPP_MODEL || './models/ggml-base.bin',
+    openaiApiKey: process.env.OPENAI_API_KEY,
+    openaiModel: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+    wordTimestamps: process.env.WORD_TIMESTAMPS !== 'false', // Ask every backend for word-level timestamps
+    timeoutFactor: parseFloat(process.env.TRANSCRIPTION_TIMEOUT_FACTOR) || 3, // Wall-clock limit of a local engine: audio duration × factor
+    timeoutMinSeconds: parseFloat(process.env.TRANSCRIPTION_TIMEOUT_MIN_SECONDS) || 300, // ...but never less than this (model loading)
+    killGraceSeconds: parseFloat(process.env.TRANSCRIPTION_KILL_GRACE_SECONDS) || 10, // SIGTERM first, SIGKILL when still running after this
+    threads: parseInt(process.env.TRANSCRIPTION_THREADS) || null, // CPU threads per local engine, null = engine default
+    niceLevel: parseInt(process.env.TRANSCRIPTION_NICE) || 0 // Run local engines with this nice level (1-19 = lower priority)
+};
+
+/*
+ * Command supervision
+ *
+ * Local engines run as child processes with a wall-clock limit derived from the audio duration. A
+ * command that exceeds it gets SIGTERM, then SIGKILL after killGraceSeconds. cancelRunningCommands()
+ * stops the commands of the current thread and refuses new ones (a parallel worker that is stopped).
+ * Progress parsed from the engine output is emitted on commandEvents as { pid, label, percent }
+ * ('progress'), next to 'start' and 'end' ({ code, signal, seconds, reason }); the main thread logs
+ * them, workers forward them to it. On SIGINT, SIGTERM or exit the main thread stops every running
+ * command, including those its workers reported with trackCommand(), before anything else shuts down
+ * (shutdown.js).
+ */
+
+// Order in which 'auto' picks a backend: local engines first, then the paid API
+const autoOrder = ['openai-whisper', 'faster-whisper', 'whisper.cpp', 'openai-api'];
+
+const backends = new Map();
+
+const commandEvents = new EventEmitter();
+const runningCommands = new Map(); // pid -> { label, stop(reason), closed }
+const loggedProgress = new Map(); // pid -> last logged ten-percent step
+let cancelledReason = null;
+
+/**
+ * Checks whether a command exists on the PATH
+ */
+async function commandExists(command) {
+    try {
+        await execAsync(`command -v ${command}`);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Logs a command event; progress is logged in ten-percent steps
+ */
+function logCommandEvent(type, event, prefix = '') {
+    if (type === 'progress') {
+        const step = Math.floor(event.percent / 10);
+        if (loggedProgress.get(event.pid) !== step) {
+            loggedProgress.set(event.pid, step);
+            console.log(`🎤 ${prefix}${event.label}: ${event.percent}%`);
+        }
+    } else if (type === 'end') {
+        loggedProgress.delete(event.pid);
+        const outcome = event.reason ? `stopped (${event.reason})` : `completed (exit code: ${event.code ?? event.signal})`;
+        console.log(`🎤 ${prefix}${event.label} ${outcome} in ${event.seconds.toFixed(1)}s`);
+    }
+}
+
+/**
+ * Sends a signal to a command and the processes it started (whisper runs ffmpeg), which share its process group
+ */
+function killCommand(pid, signal) {
+    try {
+        process.kill(-pid, signal);
+    } catch (error) {
+        try {
+            process.kill(pid, signal);
+        } catch (innerError) {
+            // Already gone
+        }
+    }
+}
+
+/**
+ * Sends a signal to every running command (synchronous, for signal and exit handlers)
+ */
+function killRunningCommands(signal) {
+    for (const pid of runningCommands.keys()) {
+        killCommand(pid, signal);
+    }
+}
+
+/**
+ * Checks whether a command or any process in its group is still running
+ */
+function isCommandAlive(pid) {
+    try {
+        process.kill(-pid, 0);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Stops every running command: SIGTERM, then SIGKILL for what still runs after killGraceSeconds
+ * Resolves once they are all gone; commands that start meanwhile (in a worker) are stopped as well
+ */
+async function stopRunningCommands() {
+    const deadline = Date.now() + config.killGraceSeconds * 1000;
+    const signalled = new Set();
+
+    for (;;) {
+        const alive = [...runningCommands.keys()].filter(isCommandAlive);
+        if (alive.length === 0) {
+            return;
+        }
+        if (Date.now() >= deadline + 1000) {
+            console.log(`⚠️  ${alive.length} command(s) still running after SIGKILL`);
+            return;
+        }
+
+        const signal = Date.now() >= deadline ? 'SIGKILL' : 'SIGTERM';
+        alive.forEach(pid => {
+            if (signal === 'SIGKILL' || !signalled.has(pid)) {
+                killCommand(pid, signal);
+                signalled.add(pid);
+            }
+        });
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+// The main thread stops every command first when it is interrupted (and kills them when it exits)
+if (isMainThread) {
+    registerShutdownStep({
+        name: 'transcription commands',
+        order: 10,
+        async onSignal(signal) {
+            if (runningCommands.size > 0) {
+                console.log(`\n🛑 ${signal} received, stopping ${runningCommands.size} transcription command(s)...`);
+            }
+            await stopRunningCommands();
+        },
+        onExit() {
+            killRunningCommands('SIGKILL');
+        }
+    });
+}
+
+/**
+ * Registers a command started elsewhere (by a worker thread) so the main thread kills it on interruption
+ */
+function trackCommand(pid, label) {
+    runningCommands.set(pid, {
+        label,
+        stop: () => killCommand(pid, 'SIGKILL'),
+        closed: Promise.resolve()
+    });
+}
+
+/**
+ * Forgets a command registered with trackCommand()
+ */
+function untrackCommand(pid) {
+    runningCommands.delete(pid);
+}
+
+/**
+ * Stops the running commands of this thread and refuses new ones; resolves once they exited
+ */
+function cancelRunningCommands(reason = 'cancelled') {
+    cancelledReason = reason;
+    const commands = [...runningCommands.values()];
+    commands.forEach(command => command.stop(`cancelled (${reason})`));
+    return Promise.all(commands.map(command => command.closed));
+}
+
+/**
+ * Extracts the last percentage from engine output (tqdm bars of the Whisper CLIs, whisper.cpp's -pp lines)
+ */
+function parseProgress(text) {
+    const matches = [...text.matchAll(/(\d{1,3})%/g)];
+    return matches.length > 0 ? Math.min(100, parseInt(matches[matches.length - 1][1])) : null;
+}
+
+/**
+ * Gets the wall-clock limit in milliseconds for transcribing an audio file, or null when its duration is unknown
+ */
+async function getCommandTimeout(audioPath) {
+    try {
+        const duration = await getAudioDuration(audioPath);
+        return Math.max(config.timeoutMinSeconds, duration * config.timeoutFactor) * 1000;
+    } catch (error) {
+        console.log(`⚠️  Could not read the duration of ${path.basename(audioPath)}, transcribing without a time limit`);
+        return null;
+    }
+}
+
+/**
+ * Runs a transcription command under supervision and rejects on a non-zero exit code, timeout or cancellation
+ * options.timeoutMs is the wall-clock limit (null = none); progress is emitted on commandEvents
+ */
+function runTranscriptionCommand(command, args, label, options = {}) {
+    const { timeoutMs = null } = options;
+
+    return new Promise((resolve, reject) => {
+        if (cancelledReason) {
+            reject(new Error(`${label} cancelled (${cancelledReason})`));
+            return;
+        }
+
+        // nice keeps the process id, so the command itself is supervised
+        const [spawnCommand, spawnArgs] = config.niceLevel > 0
+            ? ['nice', ['-n', String(config.niceLevel), command, ...args]]
+            : [command, args];
+        const env = config.threads ? { ...process.env, OMP_NUM_THREADS: String(config.threads) } : process.env;
+
+        console.log(`🔄 Executing: ${spawnCommand} ${spawnArgs.join(' ')}`);
+
+        // A process group of its own, so a stop also reaches the processes the command started
+        const child = spawn(spawnCommand, spawnArgs, { env, detached: true });
+        const startTime = Date.now();
+        let stderr = '';
+        let stopReason = null;
+        let killTimer = null;
+
+        const stop = (reason) => {
+            if (stopReason) {
+                return;
+            }
+            stopReason = reason;
+            killCommand(child.pid, 'SIGTERM');
+            killTimer = setTimeout(() => killCommand(child.pid, 'SIGKILL'), config.killGraceSeconds * 1000);
+        };
+        const timeout = timeoutMs ? setTimeout(() => stop(`timed out after ${Math.round(timeoutMs / 1000)}s`), timeoutMs) : null;
+        const closed = new Promise(resolveClosed => child.once('close', resolveClosed));
+
+        if (child.pid) {
+            runningCommands.set(child.pid, { label, stop, closed });
+            commandEvents.emit('start', { pid: child.pid, command, label, timeoutMs });
+        }
+
+        const onOutput = (data) => {
+            const percent = parseProgress(data.toString());
+            if (percent !== null) {
+                commandEvents.emit('progress', { pid: child.pid, label, percent });
+            }
+        };
+
+        child.stdout.on('data', onOutput);
+        child.stderr.on('data', (data) => {
+            stderr = (stderr + data.toString()).slice(-4000);
+            onOutput(data);
+        });
+
+        const finish = () => {
+            clearTimeout(timeout);
+            clearTimeout(killTimer);
+            runningCommands.delete(child.pid);
+        };
+
+        child.on('close', (code, signal) => {
+            finish();
+            commandEvents.emit('end', { pid: child.pid, label, code, signal, seconds: (Date.now() - startTime) / 1000, reason: stopReason });
+            if (stopReason) {
+                reject(new Error(`${command} ${stopReason}`));
+                return;
+            }
+            if (code !== 0) {
+                reject(new Error(`${command} exited with code ${code ?? signal}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+                return;
+            }
+            resolve();
+        });
+
+        child.on('error', (error) => {
+            finish();
+            reject(new Error(`Failed to start ${spawnCommand}: ${error.message}`));
+        });
+    });
+}
+
+// The main thread logs command events; worker threads forward them to the main thread instead
+if (isMainThread) {
+    ['progress', 'end'].forEach(type => commandEvents.on(type, event => logCommandEvent(type, event)));
+}
+
+/**
+ * Reads and removes a JSON file written by a transcription command
+ */
+function readJsonOutput(jsonPath) {
+    if (!fs.existsSync(jsonPath)) {
+        throw new Error(`Transcription output not found: ${jsonPath}`);
+    }
+    const content = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    fs.unlinkSync(jsonPath);
+    return content;
+}
+
+/**
+ * Creates a backend for a CLI with the openai-whisper interface and JSON output
+ * (openai-whisper itself, and whisper-ctranslate2 for faster-whisper)
+ */
+function createWhisperCliBackend(name, getCommand, extraArgs = () => []) {
+    return {
+        name,
+        async isAvailable() {
+            return await commandExists(getCommand());
+        },
+        describe(options = {}) {
+            const { language = null, task = 'transcribe', model = config.whisperModel, wordTimestamps = config.wordTimestamps, prompt = null } = options;
+            return { model, language, task, wordTimestamps, prompt, extraArgs: extraArgs() };
+        },
+        async transcribe(audioPath, options = {}) {
+            const { language = null, task = 'transcribe', model = config.whisperModel, wordTimestamps = config.wordTimestamps, prompt = null } = options;
+            const outputDir = path.dirname(audioPath);
+            const audioBasename = path.basename(audioPath, path.extname(audioPath));
+
+            const args = [
+                audioPath,
+                '--model', model,
+                '--output_format', 'json',
+                '--output_dir', outputDir,
+                '--task', task,
+                ...extraArgs()
+            ];
+            if (language) {
+                args.push('--language', language);
+            }
+            if (wordTimestamps) {
+                args.push('--word_timestamps', 'True');
+            }
+            if (prompt) {
+                args.push('--initial_prompt', prompt);
+            }
+            if (config.threads) {
+                args.push('--threads', String(config.threads));
+            }
+
+            await runTranscriptionCommand(getCommand(), args, `Transcribing with ${name}`, {
+                timeoutMs: await getCommandTimeout(audioPath)
+            });
+            const result = readJsonOutput(path.join(outputDir, `${audioBasename}.json`));
+
+            return {
+                text: result.text || '',
+                segments: result.segments || [],
+                language: result.language || language || 'unknown'
+            };
+        }
+    };
+}
+
+// openai-whisper Python CLI (pip install openai-whisper)
+const openaiWhisperBackend = createWhisperCliBackend('openai-whisper', () => config.whisperBin);
+
+// faster-whisper through the whisper-ctranslate2 CLI (pip install whisper-ctranslate2)
+const fasterWhisperBackend = createWhisperCliBackend(
+    'faster-whisper',
+    () => config.fasterWhisperBin,
+    () => ['--compute_type', config.fasterWhisperComputeType]
+);
+
+/**
+ * Joins whisper.cpp tokens into words: a token starting with a space begins a new word,
+ * other tokens continue the previous one. Special tokens such as [_BEG_] are skipped
+ */
+function wordsFromWhisperCppTokens(tokens) {
+    const words = [];
+
+    for (const token of tokens) {
+        if (!token.text || /^\[_.*\]$/.test(token.text.trim()) || !token.offsets) {
+            continue;
+        }
+        const start = token.offsets.from / 1000;
+        const end = token.offsets.to / 1000;
+        const previous = words[words.length - 1];
+
+        if (previous && !/^\s/.test(token.text)) {
+            previous.word += token.text;
+            previous.end = end;
+        } else {
+            words.push({ word: token.text, start, end });
+        }
+    }
+
+    return words;
+}
+
+// whisper.cpp CLI with a ggml model file; needs 16 kHz WAV input, which extractAudio produces
+const whisperCppBackend = {
+    name: 'whisper.cpp',
+    async isAvailable() {
+        return fs.existsSync(config.whisperCppModel) && await commandExists(config.whisperCppBin);
+    },
+    describe(options = {}) {
+        const { language = null, task = 'transcribe', wordTimestamps = config.wordTimestamps, prompt = null } = options;
+        return { model: path.basename(config.whisperCppModel), language, task, wordTimestamps, prompt };
+    },
+    async transcribe(audioPath, options = {}) {
+        const { language = null, task = 'transcribe', wordTimestamps = config.wordTimestamps, prompt = null } = options;
+        const outputBase = path.join(path.dirname(audioPath), `${path.basename(audioPath, path.extname(audioPath))}_whispercpp`);
+
+        const args = [
+            '-m', config.whisperCppModel,
+            '-f', audioPath,
+            '-l', language || 'auto',
+            wordTimestamps ? '-ojf' : '-oj',
+            '-of', outputBase,
+            '-pp'
+        ];
+        if (task === 'translate') {
+            args.push('-tr');
+        }
+        if (prompt) {
+            args.push('--prompt', prompt);
+        }
+        if (config.threads) {
+            args.push('-t', String(config.threads));
+        }
+
+        await runTranscriptionCommand(config.whisperCppBin, args, 'Transcribing with whisper.cpp', {
+            timeoutMs: await getCommandTimeout(audioPath)
+        });
+        const result = readJsonOutput(`${outputBase}.json`);
+
+        // whisper.cpp reports offsets in milliseconds
+        const segments = (result.transcription || []).map(entry => ({
+            start: entry.offsets.from / 1000,
+            end: entry.offsets.to / 1000,
+            text: entry.text,
+            ...(wordTimestamps ? { words: wordsFromWhisperCppTokens(entry.tokens || []) } : {})
+        }));
+
+        return {
+            text: segments.map(segment => segment.text.trim()).join(' '),
+            segments,
+            language: result.result?.language || language || 'unknown'
+        };
+    }
+};
+
+let openaiClient = null;
+
+// OpenAI speech-to-text API (needs OPENAI_API_KEY)
+const openaiApiBackend = {
+    name: 'openai-api',
+    async isAvailable() {
+        return !!config.openaiApiKey;
+    },
+    describe(options = {}) {
+        const { language = null, task = 'transcribe', wordTimestamps = config.wordTimestamps, prompt = null } = options;
+        return { model: config.openaiModel, language, task, wordTimestamps: task === 'transcribe' && wordTimestamps, prompt };
+    },
+    async transcribe(audioPath, options = {}) {
+        const { language = null, task = 'transcribe', wordTimestamps = config.wordTimestamps, prompt = null } = options;
+        if (!openaiClient) {
+            openaiClient = new OpenAI({ apiKey: config.openaiApiKey });
+        }
+
+        console.log(`🎤 Transcribing with OpenAI API (${config.openaiModel})...`);
+
+        const request = {
+            file: fs.createReadStream(audioPath),
+            model: config.openaiModel,
+            response_format: 'verbose_json',
+            ...(prompt ? { prompt } : {})
+        };
+        let result;
+        if (task === 'translate') {
+            result = await openaiClient.audio.translations.create(request);
+        } else {
+            result = await openaiClient.audio.transcriptions.create({
+                ...request,
+                ...(language ? { language } : {}),
+                timestamp_granularities: wordTimestamps ? ['word', 'segment'] : ['segment']
+            });
+        }
+
+        // Word timestamps come as one list for the whole file; hand them out to their segments
+        const segments = (result.segments || []).map(segment => ({ ...segment }));
+        if (Array.isArray(result.words) && segments.length > 0) {
+            segments.forEach(segment => {
+                segment.words = [];
+            });
+            let segmentIndex = 0;
+            for (const word of result.words) {
+                while (segmentIndex < segments.length - 1 && word.start >= segments[segmentIndex].end) {
+                    segmentIndex++;
+                }
+                segments[segmentIndex].words.push({ word: ` ${word.word.trim()}`, start: word.start, end: word.end });
+            }
+        }
+
+        return {
+            text: result.text,
+            segments,
+            language: task === 'translate' ? 'en' : (result.language || language || 'unknown')
+        };
+    }
+};
+
+/**
+ * Creates a fake backend that returns a fixed transcription without running anything, for tests
+ * Every call is recorded in backend.calls
+ */
+function createFakeBackend(transcription = null, name = 'fake') {
+    const backend = {
+        name,
+        calls: [],
+        async isAvailable() {
+            return true;
+        },
+        describe(options = {}) {
+            return { language: options.language || null, task: options.task || 'transcribe', wordTimestamps: options.wordTimestamps ?? config.wordTimestamps, prompt: options.prompt || null };
+        },
+        async transcribe(audioPath, options = {}) {
+            backend.calls.push({ audioPath, options });
+            if (transcription) {
+                return JSON.parse(JSON.stringify(transcription));
+            }
+            const language = options.language || 'en';
+            return {
+                text: `Fake transcription of ${path.basename(audioPath)}`,
+                segments: [
+                    {
+                        start: 0,
+                        end: 2.5,
+                        text: ' Fake transcription',
+                        words: [{ word: ' Fake', start: 0, end: 1.2 }, { word: ' transcription', start: 1.2, end: 2.5 }]
+                    },
+                    {
+                        start: 2.5,
+                        end: 5,
+                        text: ` of ${path.basename(audioPath)}`,
+                        words: [{ word: ' of', start: 2.5, end: 3 }, { word: ` ${path.basename(audioPath)}`, start: 3, end: 5 }]
+                    }
+                ],
+                language
+            };
+        }
+    };
+    return backend;
+}
+
+/**
+ * Adds a backend to the registry, replacing any backend with the same name
+ */
+function registerBackend(backend) {
+    if (!backend || !backend.name || typeof backend.transcribe !== 'function' || typeof backend.isAvailable !== 'function') {
+        throw new Error('A transcription backend needs a name, isAvailable() and transcribe()');
+    }
+    backends.set(backend.name, backend);
+    return backend;
+}
+
+/**
+ * Lists the registered backends with their availability on this machine
+ */
+async function listBackends() {
+    const list = [];
+    for (const backend of backends.values()) {
+        list.push({ name: backend.name, available: await backend.isAvailable() });
+    }
+    return list;
+}
+
+/**
+ * Gets a backend by name, or the first available one for 'auto'
+ * Returns null when 'auto' finds nothing available; throws for an unknown or unavailable name
+ */
+async function resolveBackend(name = config.backend) {
+    if (!name || name === 'auto') {
+        for (const candidate of autoOrder) {
+            const backend = backends.get(candidate);
+            if (backend && await backend.isAvailable()) {
+                return backend;
+            }
+        }
+        return null;
+    }
+
+    const backend = backends.get(name);
+    if (!backend) {
+        throw new Error(`Unknown transcription backend "${name}" (registered: ${[...backends.keys()].join(', ')})`);
+    }
+    if (!await backend.isAvailable()) {
+        throw new Error(`Transcription backend "${name}" is not available on this machine`);
+    }
+    return backend;
+}
+
+/**
+ * Gets the backend name to use for a video: its entry in the backend map, otherwise the run's backend
+ */
+function getBackendNameForVideo(videoId, runBackend = config.backend) {
+    if (videoId && config.backendMapFile && fs.existsSync(config.backendMapFile)) {
+        const backendMap = JSON.parse(fs.readFileSync(config.backendMapFile, 'utf8'));
+        if (backendMap[videoId]) {
+            return backendMap[videoId];
+        }
+    }
+    return runBackend;
+}
+
+/**
+ * Reads the --backend <name> (or --backend=<name>) command line option
+ */
+function getBackendFromArgs(args = process.argv.slice(2)) {
+    const index = args.findIndex(arg => arg === '--backend' || arg.startsWith('--backend='));
+    if (index === -1) {
+        return null;
+    }
+    return args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+}
+
+registerBackend(openaiWhisperBackend);
+registerBackend(fasterWhisperBackend);
+registerBackend(whisperCppBackend);
+registerBackend(openaiApiBackend);
+registerBackend(createFakeBackend());
+
+// A --backend option overrides TRANSCRIPTION_BACKEND for this run
+config.backend = getBackendFromArgs() || config.backend;
+
+module.exports = {
+    registerBackend,
+    resolveBackend,
+    listBackends,
+    getBackendNameForVideo,
+    getBackendFromArgs,
+    createFakeBackend,
+    createWhisperCliBackend,
+    runTranscriptionCommand,
+    cancelRunningCommands,
+    trackCommand,
+    untrackCommand,
+    killCommand,
+    logCommandEvent,
+    commandEvents,
+    config
+};
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const stream = require('stream');
+const { promisify } = require('util');
+const { threadId } = require('worker_threads');
+
+const pipeline = promisify(stream.pipeline);
+
+// Configuration from environment variables
+const config = {
+    cacheFolder: process.env.TRANSCRIPTION_CACHE_FOLDER || './transcription_cache',
+    enabled: process.env.TRANSCRIPTION_CACHE !== 'false' && !process.argv.includes('--no-cache')
+};
+
+/**
+ * Hashes the content of an audio file (sha256)
+ */
+async function hashAudioFile(audioPath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(audioPath), hash);
+    return hash.digest('hex');
+}
+
+/**
+ * Builds the cache key of a transcription: the audio hash plus every backend setting that changes the output
+ */
+function getCacheKey(audioHash, backendName, settings) {
+    const keyData = JSON.stringify({ audioHash, backend: backendName, settings });
+    return crypto.createHash('sha256').update(keyData).digest('hex');
+}
+
+/**
+ * Gets the path of a cache entry (entries are spread over subfolders named after the key prefix)
+ */
+function getCachePath(key) {
+    return path.join(config.cacheFolder, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Reads a cache entry, or null when it is missing or unreadable
+ */
+function readCacheEntry(key) {
+    const cachePath = getCachePath(key);
+    if (!fs.existsSync(cachePath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    } catch (error) {
+        console.log(`⚠️  Ignoring unreadable cache entry ${path.basename(cachePath)}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Writes a cache entry through a temporary file so that an interrupted write never leaves a broken entry
+ */
+function writeCacheEntry(key, entry) {
+    const cachePath = getCachePath(key);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+
+    // Parallel workers share the process id, so the thread id keeps their temporary files apart
+    const tempPath = `${cachePath}.${process.pid}-${threadId}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entry));
+    fs.renameSync(tempPath, cachePath);
+}
+
+/**
+ * Transcribes audio with a backend, reusing the raw result of an earlier run on the same audio with the same settings
+ * The cached entry keeps the full backend output (segments, words, language) so formatting can be redone without it
+ */
+async function transcribeWithCache(backend, audioPath, options = {}) {
+    if (!config.enabled) {
+        return await backend.transcribe(audioPath, options);
+    }
+
+    const settings = backend.describe ? backend.describe(options) : options;
+    const audioHash = await hashAudioFile(audioPath);
+    const key = getCacheKey(audioHash, backend.name, settings);
+
+    const cached = readCacheEntry(key);
+    if (cached) {
+        console.log(`♻️  Using cached ${backend.name} transcription (${key.slice(0, 12)}, from ${cached.createdAt})`);
+        return cached.transcription;
+    }
+
+    const transcription = await backend.transcribe(audioPath, options);
+
+    writeCacheEntry(key, {
+        key,
+        audioHash,
+        backend: backend.name,
+        settings,
+        createdAt: new Date().toISOString(),
+        transcription
+    });
+    console.log(`💾 Cached transcription (${key.slice(0, 12)})`);
+
+    return transcription;
+}
+
+/**
+ * Lists all cache entry files
+ */
+function listCacheFiles() {
+    if (!fs.existsSync(config.cacheFolder)) {
+        return [];
+    }
+
+    return fs.readdirSync(config.cacheFolder)
+        .map(dir => path.join(config.cacheFolder, dir))
+        .filter(dir => fs.statSync(dir).isDirectory())
+        .flatMap(dir => fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.join(dir, file)));
+}
+
+/**
+ * Counts cache entries and their size per backend
+ */
+function getCacheStats() {
+    const stats = { entries: 0, bytes: 0, byBackend: {} };
+
+    for (const file of listCacheFiles()) {
+        const size = fs.statSync(file).size;
+        const entry = readCacheEntry(path.basename(file, '.json'));
+        const backendName = entry ? entry.backend : 'unreadable';
+
+        stats.entries++;
+        stats.bytes += size;
+        stats.byBackend[backendName] = (stats.byBackend[backendName] || 0) + 1;
+    }
+
+    return stats;
+}
+
+/**
+ * Removes every cache entry
+ */
+function clearCache() {
+    const files = listCacheFiles();
+    files.forEach(file => fs.unlinkSync(file));
+    return files.length;
+}
+
+// Execute if this file is run directly
+if (require.main === module) {
+    const command = process.argv[2];
+
+    if (command === 'stats') {
+        const stats = getCacheStats();
+        console.log(`📂 Cache folder: ${config.cacheFolder}`);
+        console.log(`📦 Entries: ${stats.entries} (${(stats.bytes / (1024 * 1024)).toFixed(1)} MB)`);
+        Object.entries(stats.byBackend).forEach(([backendName, count]) => {
+            console.log(`   🎤 ${backendName}: ${count}`);
+        });
+    } else if (command === 'clear') {
+        console.log(`🗑️  Removed ${clearCache()} cached transcriptions from ${config.cacheFolder}`);
+    } else {
+        console.log('Usage:');
+        console.log('  node transcriptionCache.js stats   Show cached transcriptions per backend');
+        console.log('  node transcriptionCache.js clear   Remove all cached transcriptions');
+        console.log('');
+        console.log('Generators skip the cache with --no-cache or TRANSCRIPTION_CACHE=false');
+        process.exit(command ? 1 : 0);
+    }
+}
+
+module.exports = {
+    transcribeWithCache,
+    hashAudioFile,
+    getCacheKey,
+    getCacheStats,
+    clearCache,
+    config
+};
@@ -3,6 +3,7 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const { stripMediaExtension, findMediaFiles } = require('./mediaFiles.js');
 
 const config = {
     outputFolder: process.env.OUTPUT_FOLDER || './downloads',
@@ -14,8 +15,8 @@ const config = {
  * Extracts video information from filename
  */
 function parseVideoFilename(filename) {
-    // Check for new format: [videoId]_title.mp4
-    const videoIdMatch = filename.match(/^\[([^\]]+)\]_(.+)\.mp4$/);
+    // Check for new format: [videoId]_title.mp4 (or an audio-only download such as .m4a)
+    const videoIdMatch = stripMediaExtension(filename).match(/^\[([^\]]+)\]_(.+)$/);
     if (videoIdMatch) {
         return { 
             videoId: videoIdMatch[1], 
@@ -25,7 +26,7 @@ function parseVideoFilename(filename) {
         };
     } else {
         // Old format: title.mp4
-        const titlePart = filename.replace(/\.mp4$/, '');
+        const titlePart = stripMediaExtension(filename);
         return { 
             videoId: null, 
             title: titlePart, 
@@ -104,9 +105,9 @@ function checkVideoProgress() {
         return;
     }
     
-    // Get all MP4 files
-    const videoFiles = fs.readdirSync(config.outputFolder)
-        .filter(file => file.toLowerCase().endsWith('.mp4'))
+    // Get all video and audio-only files
+    const videoFiles = findMediaFiles(config.outputFolder)
+        .map(file => path.basename(file))
         .sort();
     
     // Get all VTT files
@@ -2,25 +2,83 @@ require('dotenv').config();
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const stream = require('stream');
+const { promisify } = require('util');
 const { getAccessToken, getOutputFolder } = require('../auth.js');
+const { isMediaFile } = require('./mediaFiles.js');
+const { hasEnoughFreeDiskSpace } = require('./retentionPolicy.js');
+
+const pipeline = promisify(stream.pipeline);
+
+// Configuration from environment variables
+const config = {
+    downloadTimeout: 300000, // 5 minutes timeout
+    maxDownloadAttempts: parseInt(process.env.DOWNLOAD_ATTEMPTS) || 3, // Attempts per video, each resuming the .part file
+    maxConcurrentDownloads: parseInt(process.env.MAX_CONCURRENT_DOWNLOADS) || 3,
+    maxBytesPerSecond: parseInt(process.env.DOWNLOAD_MAX_BYTES_PER_SECOND) || 0, // Shared by all downloads, 0 = unlimited
+    progressInterval: 2000, // How often the aggregate progress line is refreshed
+    syncStateFile: process.env.DOWNLOAD_SYNC_STATE_FILE || './.download_sync_state.json',
+    hlsAudioOnly: process.env.DOWNLOAD_HLS_AUDIO_ONLY === 'true', // HLS fallback keeps only the audio track
+    audioOnly: process.argv.includes('--audio-only') || process.env.DOWNLOAD_AUDIO_ONLY === 'true', // Store only the audio of every video
+    audioFormat: process.env.DOWNLOAD_AUDIO_FORMAT || 'm4a', // 'm4a' copies the AAC track, 'opus' re-encodes to mono Opus
+    audioBitrate: process.env.DOWNLOAD_AUDIO_BITRATE || '48k' // Opus bitrate
+};
+
+/**
+ * Creates a bandwidth limiter shared by all downloads
+ * Each chunk reserves its transfer time on a single timeline, so the combined rate of all
+ * downloads stays under the limit no matter how many run at once
+ */
+function createBandwidthLimiter(bytesPerSecond) {
+    let nextFreeTime = Date.now();
+    
+    return {
+        async take(bytes) {
+            if (!bytesPerSecond) {
+                return;
+            }
+            const now = Date.now();
+            const startTime = Math.max(now, nextFreeTime);
+            nextFreeTime = startTime + (bytes / bytesPerSecond) * 1000;
+            if (startTime > now) {
+                await new Promise(resolve => setTimeout(resolve, startTime - now));
+            }
+        }
+    };
+}
+
+const bandwidthLimiter = createBandwidthLimiter(config.maxBytesPerSecond);
 
 /**
  * Fetches all videos from API.video with pagination support
+ * Optional query: tags (array), metadata (object), and updatedSince (ISO date). With updatedSince
+ * the list is read newest-updated first and paging stops at the first older video.
  */
-async function getAllVideos(accessToken) {
+async function getAllVideos(accessToken, query = {}) {
     const allVideos = [];
     let currentPage = 1;
     let totalPages = 1;
+    let reachedOlderVideos = false;
     
     const baseUrl = 'https://ws.api.video/videos';
     
+    const params = new URLSearchParams({ pageSize: '25' });
+    (query.tags || []).forEach(tag => params.append('tags[]', tag));
+    Object.entries(query.metadata || {}).forEach(([key, value]) => params.append(`metadata[${key}]`, value));
+    if (query.updatedSince) {
+        params.set('sortBy', 'updatedAt');
+        params.set('sortOrder', 'desc');
+    }
+    
     console.log('Fetching video list from API.video...');
     
     do {
         try {
             console.log(`Fetching page ${currentPage} of ${totalPages}...`);
             
-            const response = await axios.get(`${baseUrl}?currentPage=${currentPage}&pageSize=25`, {
+            params.set('currentPage', String(currentPage));
+            const response = await axios.get(`${baseUrl}?${params.toString()}`, {
                 headers: {
                     'Authorization': `Bearer ${accessToken}`,
                     'Content-Type': 'application/json'
@@ -28,12 +86,21 @@ async function getAllVideos(accessToken) {
             });
             
             if (response.data && response.data.data) {
-                allVideos.push(...response.data.data);
+                let pageVideos = response.data.data;
+                
+                if (query.updatedSince) {
+                    const since = new Date(query.updatedSince).getTime();
+                    const newer = pageVideos.filter(video => new Date(video.updatedAt || video.createdAt).getTime() >= since);
+                    reachedOlderVideos = newer.length < pageVideos.length;
+                    pageVideos = newer;
+                }
+                
+                allVideos.push(...pageVideos);
                 
                 // Update pagination info
                 if (response.data.pagination) {
                     totalPages = response.data.pagination.pagesTotal;
-                    console.log(`Found ${response.data.data.length} videos on page ${currentPage}`);
+                    console.log(`Found ${pageVideos.length} videos on page ${currentPage}`);
                     console.log(`Total videos so far: ${allVideos.length}`);
                 }
             }
@@ -45,12 +112,77 @@ async function getAllVideos(accessToken) {
             throw error;
         }
         
-    } while (currentPage <= totalPages);
+    } while (currentPage <= totalPages && !reachedOlderVideos);
     
     console.log(`\nTotal videos found: ${allVideos.length}`);
     return allVideos;
 }
 
+/**
+ * Fetches specific videos by ID
+ */
+async function getVideosByIds(accessToken, videoIds) {
+    const videos = [];
+    
+    for (const videoId of videoIds) {
+        try {
+            const response = await axios.get(`https://ws.api.video/videos/${videoId}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            videos.push(response.data);
+        } catch (error) {
+            console.error(`❌ Could not fetch video ${videoId}:`, error.response?.data?.title || error.message);
+        }
+    }
+    
+    return videos;
+}
+
+/**
+ * Loads the incremental sync state (time of the last complete sync per filter combination)
+ */
+function loadSyncState() {
+    try {
+        if (fs.existsSync(config.syncStateFile)) {
+            return { syncs: {}, ...JSON.parse(fs.readFileSync(config.syncStateFile, 'utf8')) };
+        }
+    } catch (error) {
+        console.log(`⚠️  Could not read sync state: ${error.message}`);
+    }
+    return { syncs: {} };
+}
+
+/**
+ * Saves the incremental sync state
+ */
+function saveSyncState(state) {
+    fs.writeFileSync(config.syncStateFile, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Applies the client-side filters (title regex) to a video list
+ */
+function filterVideos(videos, filters) {
+    if (!filters.titleRegex) {
+        return videos;
+    }
+    const regex = new RegExp(filters.titleRegex, 'i');
+    return videos.filter(video => regex.test(video.title || ''));
+}
+
+/**
+ * Finds local downloads whose video no longer exists on API.video
+ */
+function findLocalFilesForDeletedVideos(outputDir, remoteVideoIds) {
+    return fs.readdirSync(outputDir)
+        .filter(file => isMediaFile(file.replace(/(\.ffmpeg)?\.part$/, '')))
+        .map(file => ({ filename: file, videoId: extractVideoIdFromFilename(file) }))
+        .filter(file => file.videoId && !remoteVideoIds.has(file.videoId));
+}
+
 /**
  * Creates the output directory if it doesn't exist
  */
@@ -81,72 +213,408 @@ function extractVideoIdFromFilename(filename) {
     return match ? match[1] : null;
 }
 
+/**
+ * Formats a byte count for display
+ */
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) {
+        return 'unknown size';
+    }
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
+/**
+ * Formats a duration in seconds for display
+ */
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds)) {
+        return '--';
+    }
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    return hours > 0 ? `${hours}h${minutes.toString().padStart(2, '0')}m` : `${minutes}m${secs.toString().padStart(2, '0')}s`;
+}
+
+/**
+ * Creates an aggregate progress tracker for a batch of downloads
+ * Tracks bytes, throughput over a sliding window, and an ETA that estimates the size of
+ * videos not started yet from the average size of the ones already seen
+ */
+function createProgressTracker(totalVideos) {
+    const sizes = new Map(); // videoId -> { expected, received }
+    const samples = [];
+    let bytesThisRun = 0;
+    let finishedVideos = 0;
+    let activeVideos = 0;
+    
+    const tracker = {
+        start(videoId) {
+            activeVideos++;
+            if (!sizes.has(videoId)) {
+                sizes.set(videoId, { expected: null, received: 0 });
+            }
+        },
+        setSize(videoId, expected, received) {
+            sizes.set(videoId, { expected, received });
+        },
+        addBytes(videoId, bytes) {
+            const entry = sizes.get(videoId);
+            if (entry) {
+                entry.received += bytes;
+            }
+            bytesThisRun += bytes;
+            samples.push({ time: Date.now(), bytes });
+        },
+        finish() {
+            activeVideos--;
+            finishedVideos++;
+        },
+        snapshot() {
+            const now = Date.now();
+            while (samples.length > 0 && now - samples[0].time > 10000) {
+                samples.shift();
+            }
+            const windowBytes = samples.reduce((sum, sample) => sum + sample.bytes, 0);
+            const windowSeconds = samples.length > 0 ? Math.max(1, (now - samples[0].time) / 1000) : 1;
+            const throughput = windowBytes / windowSeconds;
+            
+            const known = [...sizes.values()].filter(entry => entry.expected !== null);
+            const averageSize = known.length > 0 ? known.reduce((sum, entry) => sum + entry.expected, 0) / known.length : 0;
+            const received = [...sizes.values()].reduce((sum, entry) => sum + entry.received, 0);
+            const remainingKnown = known.reduce((sum, entry) => sum + Math.max(0, entry.expected - entry.received), 0);
+            const notStarted = Math.max(0, totalVideos - sizes.size);
+            const remaining = remainingKnown + notStarted * averageSize;
+            
+            return {
+                received,
+                bytesThisRun,
+                estimatedTotal: received + remaining,
+                throughput,
+                etaSeconds: throughput > 0 ? remaining / throughput : Infinity,
+                activeVideos,
+                finishedVideos
+            };
+        },
+        print() {
+            const stats = tracker.snapshot();
+            process.stdout.write(`\r📶 ${formatBytes(stats.received)} / ~${formatBytes(stats.estimatedTotal)} | ${formatBytes(stats.throughput)}/s | ETA ${formatDuration(stats.etaSeconds)} | ${stats.activeVideos} active, ${stats.finishedVideos}/${totalVideos} done   `);
+        }
+    };
+    
+    return tracker;
+}
+
+/**
+ * Runs an async handler over a list of items with at most `concurrency` running at once
+ */
+async function runWithConcurrency(items, concurrency, handler) {
+    let nextIndex = 0;
+    
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            await handler(items[index], index);
+        }
+    });
+    
+    await Promise.all(runners);
+}
+
+/**
+ * Gets the size of a remote file from a HEAD request, or null if the server does not report it
+ */
+async function getRemoteFileSize(url) {
+    try {
+        const response = await axios.head(url, { timeout: 30000 });
+        const length = parseInt(response.headers['content-length']);
+        return Number.isFinite(length) ? length : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Streams a URL into a .part file, resuming from the current .part size with a Range request
+ * Chunks pass through the shared bandwidth limiter and are reported to onProgress(bytes)
+ * Returns the expected total size of the file, or null if the server does not report it
+ */
+async function downloadToPartFile(url, partPath, onStart = () => {}, onProgress = () => {}) {
+    const existingSize = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    
+    const response = await axios({
+        method: 'GET',
+        url,
+        responseType: 'stream',
+        timeout: config.downloadTimeout,
+        headers: existingSize > 0 ? { Range: `bytes=${existingSize}-` } : {},
+        validateStatus: status => (status >= 200 && status < 300) || status === 416
+    });
+    
+    // 416: nothing left to fetch, the .part file already holds the whole file
+    if (response.status === 416) {
+        response.data.destroy();
+        return await getRemoteFileSize(url);
+    }
+    
+    let expectedSize = null;
+    let append = false;
+    
+    if (response.status === 206) {
+        const totalMatch = (response.headers['content-range'] || '').match(/\/(\d+)$/);
+        expectedSize = totalMatch ? parseInt(totalMatch[1]) : null;
+        append = true;
+        console.log(`↪️  Resuming from ${formatBytes(existingSize)} of ${formatBytes(expectedSize)}`);
+    } else {
+        const length = parseInt(response.headers['content-length']);
+        expectedSize = Number.isFinite(length) ? length : null;
+        if (existingSize > 0) {
+            console.log(`⚠️  Server does not support resuming, restarting download`);
+        }
+    }
+    
+    onStart(expectedSize, append ? existingSize : 0);
+    
+    const throttle = new stream.Transform({
+        transform(chunk, encoding, callback) {
+            bandwidthLimiter.take(chunk.length).then(() => {
+                onProgress(chunk.length);
+                callback(null, chunk);
+            });
+        }
+    });
+    
+    await pipeline(response.data, throttle, fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+    
+    return expectedSize;
+}
+
+/**
+ * Gets the extension of audio-only downloads for the configured audio format
+ */
+function getAudioExtension() {
+    return config.audioFormat === 'opus' ? '.opus' : '.m4a';
+}
+
+/**
+ * Runs a remote MP4 or HLS playlist through ffmpeg into a single local file
+ * Video downloads are remuxed without re-encoding. Audio-only downloads drop the video track and
+ * either copy the AAC audio (.m4a) or re-encode it to mono Opus (.opus)
+ * Reports the growth of the output file to onProgress(bytes)
+ */
+function ffmpegDownloadToFile(sourceUrl, outputPath, audioOnly, onProgress = () => {}) {
+    return new Promise((resolve, reject) => {
+        let reportedBytes = 0;
+        
+        const command = ffmpeg(sourceUrl)
+            .inputOptions(['-protocol_whitelist', 'file,http,https,tcp,tls,crypto']);
+        
+        if (!audioOnly) {
+            command.outputOptions(['-c', 'copy', '-bsf:a', 'aac_adtstoasc', '-movflags', '+faststart']).format('mp4');
+        } else if (config.audioFormat === 'opus') {
+            command.noVideo().audioCodec('libopus').audioBitrate(config.audioBitrate).audioChannels(1).format('opus');
+        } else {
+            command.noVideo().audioCodec('copy').outputOptions(['-bsf:a', 'aac_adtstoasc', '-movflags', '+faststart']).format('mp4');
+        }
+        
+        command
+            .on('progress', (info) => {
+                // targetSize is reported in kB
+                const bytes = (info.targetSize || 0) * 1024;
+                if (bytes > reportedBytes) {
+                    onProgress(bytes - reportedBytes);
+                    reportedBytes = bytes;
+                }
+            })
+            .on('end', () => resolve(outputPath))
+            .on('error', (err) => reject(err))
+            .save(outputPath);
+    });
+}
+
+/**
+ * Downloads a video through ffmpeg instead of a plain HTTP transfer
+ * Used for videos that have no MP4 asset (the HLS playlist is remuxed into [videoId]_title.mp4)
+ * and for audio-only mode, which stores only [videoId]_title.m4a (or .opus). ffmpeg cannot
+ * resume, so every attempt starts over and the bandwidth limit does not apply
+ */
+async function downloadWithFfmpeg(video, sourceUrl, audioOnly, outputDir, index, total, progress = null) {
+    const { videoId, title } = video;
+    const fromHls = sourceUrl !== video.assets.mp4;
+    
+    const sanitizedTitle = sanitizeFilename(title || `video_${videoId}`);
+    const filename = `[${videoId}]_${sanitizedTitle}${audioOnly ? getAudioExtension() : '.mp4'}`;
+    const filepath = path.join(outputDir, filename);
+    const partPath = `${filepath}.ffmpeg.part`;
+    const videoFilepath = path.join(outputDir, `[${videoId}]_${sanitizedTitle}.mp4`);
+    let status = 'audio_extracted';
+    if (fromHls) {
+        status = audioOnly ? 'hls_audio' : 'hls_remuxed';
+    }
+    
+    if (fs.existsSync(filepath)) {
+        console.log(`⏭️  Skipping ${index}/${total}: ${title} (already exists)`);
+        return { success: true, status: 'skipped', videoId, filepath };
+    }
+    
+    // The generators can use a full video as well, so there is no need to fetch its audio again
+    if (audioOnly && fs.existsSync(videoFilepath)) {
+        console.log(`⏭️  Skipping ${index}/${total}: ${title} (full video already downloaded)`);
+        return { success: true, status: 'skipped', videoId, filepath: videoFilepath };
+    }
+    
+    if (fromHls) {
+        console.log(`📺 No MP4 asset, falling back to HLS ${index}/${total}: ${title}`);
+    } else {
+        console.log(`🎵 Downloading audio only ${index}/${total}: ${title}`);
+    }
+    console.log(`    Video ID: ${videoId}`);
+    console.log(`    Filename: ${filename}`);
+    console.log(`    Source: ${sourceUrl}`);
+    
+    let lastError = null;
+    
+    for (let attempt = 1; attempt <= config.maxDownloadAttempts; attempt++) {
+        try {
+            if (progress) {
+                progress.setSize(videoId, null, 0);
+            }
+            await ffmpegDownloadToFile(sourceUrl, partPath, audioOnly, bytes => progress && progress.addBytes(videoId, bytes));
+            
+            const actualSize = fs.statSync(partPath).size;
+            if (actualSize === 0) {
+                throw new Error('ffmpeg produced an empty file');
+            }
+            
+            fs.renameSync(partPath, filepath);
+            console.log(`✅ ${audioOnly ? 'Saved audio' : 'Remuxed from HLS'}: ${filename} (${formatBytes(actualSize)})`);
+            return { success: true, status, videoId, filepath };
+            
+        } catch (error) {
+            lastError = error;
+            console.error(`❌ Attempt ${attempt}/${config.maxDownloadAttempts} failed for ${filename}:`, error.message);
+            if (fs.existsSync(partPath)) {
+                fs.unlinkSync(partPath);
+            }
+        }
+    }
+    
+    return { success: false, status: 'failed', videoId, error: lastError?.message };
+}
+
 /**
  * Downloads a single video file with video ID in filename
+ * Data goes to a .part file that is resumed after interruptions and only renamed to the
+ * final name once its size matches the Content-Length reported by the server
  */
-async function downloadVideo(video, outputDir, index, total) {
+async function downloadVideo(video, outputDir, index, total, progress = null) {
     const { videoId, title, assets } = video;
     
     if (!assets || !assets.mp4) {
-        console.log(`⚠️  No MP4 download URL for video: ${title} (${videoId})`);
-        return false;
+        if (assets && assets.hls) {
+            const audioOnly = config.audioOnly || config.hlsAudioOnly;
+            return await downloadWithFfmpeg(video, assets.hls, audioOnly, outputDir, index, total, progress);
+        }
+        console.log(`⚠️  No MP4 or HLS download URL for video: ${title} (${videoId})`);
+        return { success: false, status: 'no_source', videoId };
+    }
+    
+    if (config.audioOnly) {
+        return await downloadWithFfmpeg(video, assets.mp4, true, outputDir, index, total, progress);
     }
     
     // Create filename with video ID: [videoId]_title.mp4
     const sanitizedTitle = sanitizeFilename(title || `video_${videoId}`);
     const filename = `[${videoId}]_${sanitizedTitle}.mp4`;
     const filepath = path.join(outputDir, filename);
+    const partPath = `${filepath}.part`;
+    let truncated = null;
     
-    // Check if file already exists (with video ID format)
+    // Check if file already exists (with video ID format) and is complete
     if (fs.existsSync(filepath)) {
-        console.log(`⏭️  Skipping ${index}/${total}: ${title} (already exists)`);
-        return true;
+        const localSize = fs.statSync(filepath).size;
+        const expectedSize = await getRemoteFileSize(assets.mp4);
+        
+        if (expectedSize === null || localSize === expectedSize) {
+            console.log(`⏭️  Skipping ${index}/${total}: ${title} (already exists)`);
+            return { success: true, status: 'skipped', videoId, filepath };
+        }
+        
+        truncated = { filename, localSize, expectedSize };
+        console.log(`⚠️  Incomplete file on disk: ${filename} (${formatBytes(localSize)} of ${formatBytes(expectedSize)})`);
+        
+        if (localSize < expectedSize) {
+            fs.renameSync(filepath, partPath);
+        } else {
+            fs.unlinkSync(filepath);
+        }
     }
     
     // Also check for old format files (without video ID) and rename them
     const oldFilename = `${sanitizedTitle}.mp4`;
     const oldFilepath = path.join(outputDir, oldFilename);
-    if (fs.existsSync(oldFilepath)) {
+    if (!truncated && fs.existsSync(oldFilepath)) {
         console.log(`🔄 Renaming existing file to include video ID: ${oldFilename} -> ${filename}`);
         fs.renameSync(oldFilepath, filepath);
-        return true;
+        return { success: true, status: 'renamed', videoId, filepath };
     }
     
-    try {
-        console.log(`⬇️  Downloading ${index}/${total}: ${title}`);
-        console.log(`    Video ID: ${videoId}`);
-        console.log(`    Filename: ${filename}`);
-        console.log(`    URL: ${assets.mp4}`);
-        
-        const response = await axios({
-            method: 'GET',
-            url: assets.mp4,
-            responseType: 'stream',
-            timeout: 300000, // 5 minutes timeout
-        });
-        
-        const writer = fs.createWriteStream(filepath);
-        response.data.pipe(writer);
-        
-        return new Promise((resolve, reject) => {
-            writer.on('finish', () => {
-                console.log(`✅ Downloaded: ${filename}`);
-                resolve(true);
-            });
-            writer.on('error', (error) => {
-                console.error(`❌ Error downloading ${filename}:`, error.message);
-                // Clean up partial file
-                if (fs.existsSync(filepath)) {
-                    fs.unlinkSync(filepath);
+    console.log(`⬇️  Downloading ${index}/${total}: ${title}`);
+    console.log(`    Video ID: ${videoId}`);
+    console.log(`    Filename: ${filename}`);
+    console.log(`    URL: ${assets.mp4}`);
+    
+    let lastError = null;
+    
+    for (let attempt = 1; attempt <= config.maxDownloadAttempts; attempt++) {
+        try {
+            const expectedSize = await downloadToPartFile(
+                assets.mp4,
+                partPath,
+                (size, resumedFrom) => progress && progress.setSize(videoId, size, resumedFrom),
+                bytes => progress && progress.addBytes(videoId, bytes)
+            );
+            const actualSize = fs.statSync(partPath).size;
+            
+            if (expectedSize !== null && actualSize !== expectedSize) {
+                if (actualSize > expectedSize) {
+                    // More data than the server announced: the .part file cannot be trusted
+                    fs.unlinkSync(partPath);
                 }
-                reject(error);
-            });
-        });
-        
-    } catch (error) {
-        console.error(`❌ Error downloading ${title}:`, error.message);
-        return false;
+                throw new Error(`Size mismatch: got ${actualSize} bytes, expected ${expectedSize}`);
+            }
+            
+            fs.renameSync(partPath, filepath);
+            console.log(`✅ Downloaded: ${filename} (${formatBytes(actualSize)})`);
+            return { success: true, status: truncated ? 'repaired' : 'downloaded', videoId, filepath, truncated };
+            
+        } catch (error) {
+            lastError = error;
+            console.error(`❌ Attempt ${attempt}/${config.maxDownloadAttempts} failed for ${filename}:`, error.message);
+        }
     }
+    
+    if (fs.existsSync(partPath)) {
+        console.log(`💾 Partial download kept for resume: ${path.basename(partPath)} (${formatBytes(fs.statSync(partPath).size)})`);
+    }
+    
+    return { success: false, status: 'failed', videoId, truncated, error: lastError?.message };
+}
+
+/**
+ * Lists .part files left in the output directory by interrupted downloads
+ */
+function findPartialDownloads(outputDir) {
+    return fs.readdirSync(outputDir)
+        .filter(file => file.endsWith('.mp4.part'))
+        .map(file => ({ filename: file, size: fs.statSync(path.join(outputDir, file)).size }));
 }
 
 /**
@@ -154,58 +622,212 @@ async function downloadVideo(video, outputDir, index, total) {
  */
 async function downloadAllVideos(videos) {
     const outputDir = ensureOutputDirectory();
+    
+    if (!hasEnoughFreeDiskSpace(outputDir)) {
+        return { successCount: 0, failureCount: videos.length, truncatedFiles: [], partialFiles: [], hlsFallbacks: [], refused: true };
+    }
+    
     console.log(`\nStarting download of ${videos.length} videos to: ${outputDir}\n`);
     
+    const partialAtStart = findPartialDownloads(outputDir);
+    if (partialAtStart.length > 0) {
+        console.log(`↪️  Found ${partialAtStart.length} interrupted downloads, they will be resumed\n`);
+    }
+    
     let successCount = 0;
     let failureCount = 0;
+    const truncatedFiles = [];
+    const hlsFallbacks = [];
+    let audioOnlyCount = 0;
     
-    for (let i = 0; i < videos.length; i++) {
-        const video = videos[i];
-        try {
-            const success = await downloadVideo(video, outputDir, i + 1, videos.length);
-            if (success) {
-                successCount++;
-            } else {
+    const progress = createProgressTracker(videos.length);
+    const progressTimer = setInterval(() => progress.print(), config.progressInterval);
+    
+    console.log(`⚡ Parallel downloads: ${config.maxConcurrentDownloads}`);
+    if (config.audioOnly) {
+        console.log(`🎵 Audio-only mode: storing ${getAudioExtension()} files instead of full videos`);
+    }
+    console.log(`📶 Bandwidth limit: ${config.maxBytesPerSecond ? `${formatBytes(config.maxBytesPerSecond)}/s` : 'unlimited'}\n`);
+    
+    try {
+        await runWithConcurrency(videos, config.maxConcurrentDownloads, async (video, i) => {
+            progress.start(video.videoId);
+            try {
+                const result = await downloadVideo(video, outputDir, i + 1, videos.length, progress);
+                if (result.truncated) {
+                    truncatedFiles.push({ ...result.truncated, repaired: result.success });
+                }
+                if (result.status === 'hls_remuxed' || result.status === 'hls_audio') {
+                    hlsFallbacks.push(result);
+                }
+                if (result.status === 'audio_extracted' || result.status === 'hls_audio') {
+                    audioOnlyCount++;
+                }
+                if (result.success) {
+                    successCount++;
+                } else {
+                    failureCount++;
+                }
+            } catch (error) {
                 failureCount++;
+            } finally {
+                progress.finish();
             }
-        } catch (error) {
-            failureCount++;
-        }
-        
-        // Add a small delay between downloads to be respectful to the server
-        if (i < videos.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+        });
+    } finally {
+        clearInterval(progressTimer);
     }
     
+    const finalStats = progress.snapshot();
+    console.log(`\n📶 Transferred ${formatBytes(finalStats.bytesThisRun)} this run`);
+    
+    const partialAtEnd = findPartialDownloads(outputDir);
+    
     console.log(`\n📊 Download Summary:`);
     console.log(`✅ Successful downloads: ${successCount}`);
     console.log(`❌ Failed downloads: ${failureCount}`);
+    console.log(`📺 Downloaded from HLS (no MP4 asset): ${hlsFallbacks.length}`);
+    console.log(`🎵 Saved as audio only: ${audioOnlyCount}`);
+    console.log(`✂️  Truncated files found on disk: ${truncatedFiles.length}`);
+    truncatedFiles.forEach(file => {
+        console.log(`   - ${file.filename}: ${formatBytes(file.localSize)} of ${formatBytes(file.expectedSize)} (${file.repaired ? 'repaired' : 'still incomplete'})`);
+    });
+    if (partialAtEnd.length > 0) {
+        console.log(`💾 Partial downloads left to resume on next run: ${partialAtEnd.length}`);
+        partialAtEnd.forEach(file => {
+            console.log(`   - ${file.filename} (${formatBytes(file.size)})`);
+        });
+    }
     console.log(`📁 Output directory: ${outputDir}`);
-    console.log(`\n💡 Note: Files are named as [videoId]_title.mp4 for easy caption reuploading`);
+    console.log(`\n💡 Note: Files are named as [videoId]_title.mp4 (or .m4a/.opus for audio) for easy caption reuploading`);
+    
+    return { successCount, failureCount, truncatedFiles, partialFiles: partialAtEnd, hlsFallbacks };
+}
+
+/**
+ * Parses downloader command line arguments
+ */
+function parseArgs(args) {
+    const getValues = name => {
+        const values = [];
+        args.forEach((arg, index) => {
+            if (arg === `--${name}` && args[index + 1]) {
+                values.push(args[index + 1]);
+            } else if (arg.startsWith(`--${name}=`)) {
+                values.push(arg.slice(name.length + 3));
+            }
+        });
+        return values;
+    };
+    const splitList = values => values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+    
+    const metadata = {};
+    getValues('metadata').forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            metadata[pair.slice(0, separator)] = pair.slice(separator + 1);
+        }
+    });
+    
+    return {
+        sync: args.includes('sync'),
+        full: args.includes('--full'),
+        prune: args.includes('--prune'),
+        checkDeleted: args.includes('--check-deleted') || args.includes('--prune'),
+        filters: {
+            tags: splitList(getValues('tags')),
+            metadata,
+            titleRegex: getValues('title-regex')[0] || null,
+            videoIds: splitList(getValues('ids'))
+        }
+    };
+}
+
+/**
+ * Reports, and with prune deletes, local downloads of videos that were deleted on API.video
+ */
+async function reportDeletedVideos(accessToken, prune) {
+    const outputDir = ensureOutputDirectory();
+    
+    console.log('\n🔍 Checking for local files of videos deleted on API.video...');
+    const remoteVideos = await getAllVideos(accessToken);
+    const remoteVideoIds = new Set(remoteVideos.map(video => video.videoId));
+    const orphanFiles = findLocalFilesForDeletedVideos(outputDir, remoteVideoIds);
+    
+    if (orphanFiles.length === 0) {
+        console.log('✅ No local files for deleted videos');
+        return orphanFiles;
+    }
+    
+    console.log(`🗑️  Local files for ${prune ? 'deleted videos, pruning' : 'deleted videos (use --prune to delete)'}: ${orphanFiles.length}`);
+    orphanFiles.forEach(file => {
+        if (prune) {
+            fs.unlinkSync(path.join(outputDir, file.filename));
+        }
+        console.log(`   ${prune ? '🗑️  Deleted' : '-'} ${file.filename} (${file.videoId})`);
+    });
+    
+    return orphanFiles;
 }
 
 /**
  * Main function to authenticate and download all videos
+ * In sync mode only videos created or updated since the last complete sync are fetched
  */
-async function main() {
+async function main(options = parseArgs(process.argv.slice(2))) {
     try {
+        const { filters } = options;
+        const syncStartedAt = new Date().toISOString();
+        // Each filter combination keeps its own last sync time
+        const syncKey = JSON.stringify(filters);
+        const syncState = options.sync ? loadSyncState() : { syncs: {} };
+        const lastSyncAt = syncState.syncs[syncKey] || null;
+        const updatedSince = options.sync && !options.full ? lastSyncAt : null;
+        
         // Get access token
         console.log('🔑 Getting access token...');
         const tokenData = await getAccessToken();
         const accessToken = tokenData.access_token;
         
-        // Fetch all videos
-        console.log('\n📹 Fetching all videos...');
-        const videos = await getAllVideos(accessToken);
+        if (options.sync) {
+            console.log(`🔄 Sync mode: ${updatedSince ? `videos created or updated since ${updatedSince}` : 'full sync'}`);
+        }
+        if (filters.tags.length > 0) console.log(`🏷️  Tags: ${filters.tags.join(', ')}`);
+        if (Object.keys(filters.metadata).length > 0) console.log(`🗂️  Metadata: ${JSON.stringify(filters.metadata)}`);
+        if (filters.titleRegex) console.log(`🔤 Title regex: ${filters.titleRegex}`);
+        if (filters.videoIds.length > 0) console.log(`🆔 Video IDs: ${filters.videoIds.join(', ')}`);
+        
+        // Fetch videos
+        console.log('\n📹 Fetching videos...');
+        let videos;
+        if (filters.videoIds.length > 0) {
+            videos = await getVideosByIds(accessToken, filters.videoIds);
+        } else {
+            videos = await getAllVideos(accessToken, { tags: filters.tags, metadata: filters.metadata, updatedSince });
+        }
+        videos = filterVideos(videos, filters);
         
+        let failureCount = 0;
         if (videos.length === 0) {
-            console.log('No videos found in your API.video account.');
-            return;
+            console.log(updatedSince ? 'No new or updated videos since the last sync.' : 'No videos found in your API.video account.');
+        } else {
+            // Download all videos
+            const summary = await downloadAllVideos(videos);
+            failureCount = summary.failureCount;
         }
         
-        // Download all videos
-        await downloadAllVideos(videos);
+        if (options.sync) {
+            if (failureCount === 0) {
+                saveSyncState({ syncs: { ...syncState.syncs, [syncKey]: syncStartedAt } });
+                console.log(`💾 Sync state saved (last sync: ${syncStartedAt})`);
+            } else {
+                console.log(`⚠️  Sync state not updated because ${failureCount} downloads failed; they will be retried next sync`);
+            }
+        }
+        
+        if (options.checkDeleted) {
+            await reportDeletedVideos(accessToken, options.prune);
+        }
         
         console.log('\n🎉 Download process completed!');
         
@@ -220,4 +842,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { getAllVideos, downloadAllVideos, downloadVideo, main, extractVideoIdFromFilename }; 
\ No newline at end of file
+module.exports = { getAllVideos, getVideosByIds, downloadAllVideos, downloadVideo, downloadWithFfmpeg, ffmpegDownloadToFile, getAudioExtension, main, extractVideoIdFromFilename, filterVideos, formatBytes, runWithConcurrency, config }; 
\ No newline at end of file
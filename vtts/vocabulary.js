@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Custom vocabulary for transcription
+ *
+ * Vocabulary files are JSON, one for the whole library and optionally one per video:
+ *   <vocabularyFolder>/library.json
+ *   <vocabularyFolder>/videos/<videoId>.json
+ * with
+ *   {
+ *     "prompt": "A course on emotional mastery.",      (or per language: { "en": "...", "ar": "..." })
+ *     "terms": ["api.video", "Sarah Haddad"],
+ *     "corrections": { "sara hadad": "Sarah Haddad", "api video": { "to": "api.video", "verbatim": true } }
+ *   }
+ * The prompt and terms become the initial prompt of the transcription backends, which steers Whisper
+ * towards those spellings. Corrections are applied to the transcription afterwards.
+ */
+
+// Configuration from environment variables
+const config = {
+    vocabularyFolder: process.env.VOCABULARY_FOLDER || './vocabulary',
+    libraryFile: process.env.VOCABULARY_LIBRARY_FILE || null, // Defaults to <vocabularyFolder>/library.json
+    maxPromptChars: parseInt(process.env.VOCABULARY_MAX_PROMPT_CHARS) || 800 // Whisper only reads ~224 prompt tokens
+};
+
+/**
+ * Reads a vocabulary file, or an empty vocabulary when it does not exist
+ */
+function readVocabularyFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return { prompt: null, terms: [], corrections: {} };
+    }
+
+    try {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return {
+            prompt: content.prompt || null,
+            terms: Array.isArray(content.terms) ? content.terms : [],
+            corrections: content.corrections || {}
+        };
+    } catch (error) {
+        throw new Error(`Invalid vocabulary file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Gets the vocabulary of a video: the library vocabulary merged with the video's own file
+ * Video terms come first, and video corrections override library corrections
+ */
+function getVocabulary(videoId = null) {
+    const library = readVocabularyFile(config.libraryFile || path.join(config.vocabularyFolder, 'library.json'));
+    const video = videoId
+        ? readVocabularyFile(path.join(config.vocabularyFolder, 'videos', `${videoId}.json`))
+        : readVocabularyFile(null);
+
+    return {
+        prompts: [library.prompt, video.prompt].filter(Boolean),
+        terms: [...new Set([...video.terms, ...library.terms])],
+        corrections: { ...library.corrections, ...video.corrections }
+    };
+}
+
+/**
+ * Builds the initial prompt for a language from a vocabulary, or null when there is nothing to say
+ * Terms that do not fit in maxPromptChars are left out (video terms are listed first)
+ */
+function buildInitialPrompt(vocabulary, language = null) {
+    const sentences = vocabulary.prompts
+        .map(prompt => (typeof prompt === 'string' ? prompt : prompt[language] || prompt.default))
+        .filter(Boolean)
+        .map(prompt => prompt.trim());
+
+    let text = sentences.join(' ');
+    const terms = [];
+    for (const term of vocabulary.terms) {
+        const candidate = `${text} Glossary: ${[...terms, term].join(', ')}.`.trim();
+        if (candidate.length > config.maxPromptChars) {
+            break;
+        }
+        terms.push(term);
+    }
+
+    if (terms.length > 0) {
+        text = `${text} Glossary: ${terms.join(', ')}.`.trim();
+    }
+
+    return text.slice(0, config.maxPromptChars) || null;
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turns the corrections map into replacement rules
+ * Keys match whole words, case-insensitively unless { matchCase: true } is given;
+ * { verbatim: true } writes the replacement exactly as given whatever the case of the match
+ */
+function buildCorrectionRules(corrections) {
+    return Object.entries(corrections).map(([from, value]) => {
+        const { to, matchCase = false, verbatim = false } = typeof value === 'string' ? { to: value } : value;
+        const pattern = from.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+        return {
+            regex: new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, matchCase ? 'gu' : 'giu'),
+            replace: (matched) => (verbatim ? to : applyCase(matched, to))
+        };
+    });
+}
+
+/**
+ * Adapts a replacement to the case of the matched text: replacements with capitals are used as written,
+ * lower-case replacements follow the match (ALL CAPS stays all caps, Capitalized stays capitalized)
+ */
+function applyCase(matched, replacement) {
+    if (replacement !== replacement.toLowerCase()) {
+        return replacement;
+    }
+    if (matched.length > 1 && matched === matched.toUpperCase() && matched !== matched.toLowerCase()) {
+        return replacement.toUpperCase();
+    }
+    if (matched[0] !== matched[0].toLowerCase()) {
+        return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+}
+
+/**
+ * Applies correction rules to a list of timed words
+ * A correction spanning several words becomes one word timed from the first to the last
+ */
+function correctWords(words, rules) {
+    let result = words;
+
+    for (const rule of rules) {
+        let text = '';
+        const offsets = result.map(word => {
+            const start = text.length;
+            text += word.word;
+            return { start, end: text.length };
+        });
+
+        const matches = [...text.matchAll(rule.regex)];
+        for (const match of matches.reverse()) {
+            const matchEnd = match.index + match[0].length;
+            const first = offsets.findIndex(offset => offset.end > match.index);
+            let last = first;
+            while (last + 1 < offsets.length && offsets[last + 1].start < matchEnd) {
+                last++;
+            }
+
+            const word = text.slice(offsets[first].start, match.index) +
+                rule.replace(match[0]) +
+                text.slice(matchEnd, offsets[last].end);
+
+            result = [
+                ...result.slice(0, first),
+                { ...result[first], word, end: result[last].end },
+                ...result.slice(last + 1)
+            ];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Applies the vocabulary corrections to a transcription (segment text, words and full text)
+ * Returns the corrected transcription and the number of replacements made
+ */
+function applyCorrections(transcription, corrections) {
+    const rules = buildCorrectionRules(corrections || {});
+    if (rules.length === 0) {
+        return { transcription, replacements: 0 };
+    }
+
+    let replacements = 0;
+    const correctText = (text) => rules.reduce((current, rule) => current.replace(rule.regex, (matched) => {
+        replacements++;
+        return rule.replace(matched);
+    }), text || '');
+
+    const segments = (transcription.segments || []).map(segment => ({
+        ...segment,
+        text: correctText(segment.text),
+        ...(Array.isArray(segment.words) ? { words: correctWords(segment.words, rules) } : {})
+    }));
+    const segmentReplacements = replacements;
+
+    const corrected = {
+        ...transcription,
+        text: correctText(transcription.text),
+        segments
+    };
+
+    if (segmentReplacements > 0) {
+        console.log(`📖 Vocabulary: ${segmentReplacements} corrections applied`);
+    }
+
+    return { transcription: corrected, replacements: segmentReplacements };
+}
+
+// Execute if this file is run directly
+if (require.main === module) {
+    const videoId = process.argv[2] || null;
+    const language = process.argv[3] || null;
+    const vocabulary = getVocabulary(videoId);
+
+    console.log(`📂 Vocabulary folder: ${config.vocabularyFolder}`);
+    console.log(`📖 Terms: ${vocabulary.terms.length}, corrections: ${Object.keys(vocabulary.corrections).length}`);
+    console.log(`💬 Initial prompt${videoId ? ` for ${videoId}` : ''}${language ? ` (${language})` : ''}: ${buildInitialPrompt(vocabulary, language) || '(none)'}`);
+}
+
+module.exports = {
+    getVocabulary,
+    buildInitialPrompt,
+    applyCorrections,
+    config
+};
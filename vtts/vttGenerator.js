@@ -2,49 +2,29 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
-const OpenAI = require('openai');
-const { spawn, exec } = require('child_process');
-const { promisify } = require('util');
 const { extractVideoIdFromFilename } = require('./videoDownloader.js');
-
-const execAsync = promisify(exec);
+const { stripMediaExtension, findMediaFiles } = require('./mediaFiles.js');
+const { hasEnoughFreeDiskSpace } = require('./retentionPolicy.js');
+const { resolveBackend, listBackends, getBackendNameForVideo, config: backendConfig } = require('./transcriptionBackends.js');
+const { transcribeLongAudio } = require('./chunkedTranscription.js');
+const { getVocabulary, buildInitialPrompt, applyCorrections } = require('./vocabulary.js');
+const { buildCues, renderCueText, secondsToVttTimestamp } = require('./cueBuilder.js');
+const { analyzeAudio, addMusicCues } = require('./audioClassifier.js');
+const { filterTranscription, writeQaLog } = require('./transcriptFilter.js');
+const { recordFailure, clearFailure, config: quarantineConfig } = require('./failureQuarantine.js');
+const { createWorkspace } = require('./scratchWorkspace.js');
 
 // Configuration from environment variables
 const config = {
     outputFolder: process.env.OUTPUT_FOLDER || './downloads',
     vttOutputFolder: process.env.VTT_OUTPUT_FOLDER || './subtitles',
-    openaiApiKey: process.env.OPENAI_API_KEY,
     whisperModel: process.env.WHISPER_MODEL || 'base',
     silenceThreshold: parseFloat(process.env.SILENCE_THRESHOLD) || 0.01,
     musicDetectionEnabled: process.env.MUSIC_DETECTION_ENABLED === 'true',
-    forceLanguage: process.env.FORCE_LANGUAGE || null // Set to 'en', 'ar', etc. to force a language, or null for auto-detect
+    forceLanguage: process.env.FORCE_LANGUAGE || null, // Set to 'en', 'ar', etc. to force a language, or null for auto-detect
+    rerender: process.argv.includes('--rerender') // Regenerate existing VTT files (transcriptions come from the cache)
 };
 
-// Initialize OpenAI client if API key is provided
-let openai = null;
-if (config.openaiApiKey) {
-    openai = new OpenAI({
-        apiKey: config.openaiApiKey
-    });
-}
-
-/**
- * Checks if local Whisper is installed
- */
-async function checkWhisperInstalled() {
-    try {
-        await execAsync('which whisper');
-        return true;
-    } catch (error) {
-        try {
-            await execAsync('whisper --help');
-            return true;
-        } catch (error2) {
-            return false;
-        }
-    }
-}
-
 /**
  * Ensures the VTT output directory exists
  */
@@ -56,30 +36,18 @@ function ensureVttOutputDirectory() {
     return config.vttOutputFolder;
 }
 
-/**
- * Converts seconds to VTT timestamp format (HH:MM:SS.mmm)
- */
-function secondsToVttTimestamp(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    const milliseconds = Math.floor((seconds % 1) * 1000);
-    
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
-}
-
 /**
  * Extracts video information from filename
  */
 function parseVideoFilename(filename) {
     const videoId = extractVideoIdFromFilename(filename);
     if (videoId) {
-        // New format: [videoId]_title.mp4
-        const titlePart = filename.replace(/^\[[^\]]+\]_/, '').replace(/\.mp4$/, '');
+        // New format: [videoId]_title.mp4 (or an audio-only download such as [videoId]_title.m4a)
+        const titlePart = stripMediaExtension(filename).replace(/^\[[^\]]+\]_/, '');
         return { videoId, title: titlePart, hasVideoId: true };
     } else {
         // Old format: title.mp4
-        const titlePart = filename.replace(/\.mp4$/, '');
+        const titlePart = stripMediaExtension(filename);
         return { videoId: null, title: titlePart, hasVideoId: false };
     }
 }
@@ -109,226 +77,32 @@ async function extractAudio(videoPath, outputAudioPath) {
 }
 
 /**
- * Analyzes audio for silent segments and music detection
- */
-async function analyzeAudio(audioPath) {
-    return new Promise((resolve, reject) => {
-        console.log(`🔍 Analyzing audio for silence and music detection...`);
-        
-        const silenceSegments = [];
-        const musicSegments = [];
-        
-        // Use ffmpeg to detect silence
-        const silenceDetection = ffmpeg(audioPath)
-            .audioFilters([
-                `silencedetect=noise=${config.silenceThreshold}:duration=1.0`
-            ])
-            .format('null')
-            .on('stderr', (stderrLine) => {
-                // Parse silence detection output
-                const silenceStartMatch = stderrLine.match(/silence_start: (\d+\.?\d*)/);
-                const silenceEndMatch = stderrLine.match(/silence_end: (\d+\.?\d*)/);
-                
-                if (silenceStartMatch) {
-                    const startTime = parseFloat(silenceStartMatch[1]);
-                    silenceSegments.push({ start: startTime, end: null });
-                }
-                
-                if (silenceEndMatch && silenceSegments.length > 0) {
-                    const endTime = parseFloat(silenceEndMatch[1]);
-                    const lastSegment = silenceSegments[silenceSegments.length - 1];
-                    if (lastSegment.end === null) {
-                        lastSegment.end = endTime;
-                    }
-                }
-            })
-            .on('end', () => {
-                console.log(`📊 Found ${silenceSegments.length} silence segments`);
-                
-                if (config.musicDetectionEnabled) {
-                    console.log(`🎼 Music detection enabled (simplified heuristic)`);
-                }
-                
-                resolve({ silenceSegments, musicSegments });
-            })
-            .on('error', (err) => {
-                console.error(`❌ Error analyzing audio:`, err.message);
-                reject(err);
-            });
-        
-        // Save to null (we just want the analysis, not the output)
-        silenceDetection.save('/dev/null');
-    });
-}
-
-/**
- * Transcribes audio using local Whisper (auto-detect language or forced language)
+ * Transcribes audio with the backend selected for the video (backend map, then run backend)
+ * The video's vocabulary is passed as initial prompt and its corrections are applied to the result
+ * Long audio is transcribed in chunks cut at the silences of audioAnalysis
+ * Throws when no backend is available or the backend fails
  */
-async function transcribeWithLocalWhisper(audioPath, forceLanguage = null) {
-    const languageInfo = forceLanguage ? `forced to ${forceLanguage}` : 'auto-detected';
-    console.log(`🎤 Transcribing with local Whisper (${config.whisperModel} model, language ${languageInfo})...`);
-    
-    const whisperInstalled = await checkWhisperInstalled();
+async function transcribeAudio(audioPath, videoInfo, backendName, audioAnalysis) {
+    const backend = await resolveBackend(getBackendNameForVideo(videoInfo.videoId, backendName));
     
-    if (!whisperInstalled) {
-        console.log(`❌ Local Whisper not found.`);
-        return {
-            text: '[Local Whisper not installed]',
-            segments: [{
-                start: 0,
-                end: 10,
-                text: '[Local Whisper not installed]'
-            }],
-            language: 'unknown'
-        };
+    if (!backend) {
+        throw new Error('No transcription backend available - install Whisper or set OpenAI API key');
     }
     
-    return new Promise((resolve, reject) => {
-        const outputDir = path.dirname(audioPath);
-        const baseFilename = path.basename(audioPath, path.extname(audioPath));
-        
-        console.log(`📝 Running whisper transcription...`);
-        
-        // Build whisper command
-        const whisperArgs = [
-            audioPath,
-            '--model', config.whisperModel,
-            '--output_format', 'json',
-            '--output_dir', outputDir,
-            '--task', 'transcribe'
-        ];
-        
-        // Add language parameter if forced
-        if (forceLanguage) {
-            whisperArgs.push('--language', forceLanguage);
-        }
-        
-        console.log(`🔄 Executing: whisper ${whisperArgs.join(' ')}`);
-        
-        const whisperProcess = spawn('whisper', whisperArgs);
-        
-        let stdout = '';
-        let stderr = '';
-        
-        whisperProcess.stdout.on('data', (data) => {
-            stdout += data.toString();
-            const progressMatch = data.toString().match(/(\d+)%/);
-            if (progressMatch) {
-                process.stdout.write(`\r🎤 Transcribing: ${progressMatch[1]}%`);
-            }
-        });
-        
-        whisperProcess.stderr.on('data', (data) => {
-            stderr += data.toString();
-            const progressMatch = data.toString().match(/(\d+)%/);
-            if (progressMatch) {
-                process.stdout.write(`\r🎤 Transcribing: ${progressMatch[1]}%`);
-            }
-        });
-        
-        whisperProcess.on('close', (code) => {
-            console.log(`\n🎤 Whisper transcription completed (exit code: ${code})`);
-            
-            if (code !== 0) {
-                console.error(`❌ Whisper failed with exit code ${code}`);
-                resolve({
-                    text: '[Whisper transcription failed]',
-                    segments: [{
-                        start: 0,
-                        end: 10,
-                        text: '[Whisper transcription failed]'
-                    }],
-                    language: 'unknown'
-                });
-                return;
-            }
-            
-            try {
-                // Find the JSON output file (Whisper creates filename based on input)
-                const audioBasename = path.basename(audioPath, path.extname(audioPath));
-                const generatedJsonPath = path.join(outputDir, `${audioBasename}.json`);
-                
-                if (fs.existsSync(generatedJsonPath)) {
-                    const jsonContent = fs.readFileSync(generatedJsonPath, 'utf8');
-                    const transcription = JSON.parse(jsonContent);
-                    
-                    console.log(`✅ Transcription loaded (detected language: ${transcription.language || 'unknown'})`);
-                    
-                    // Clean up JSON file
-                    fs.unlinkSync(generatedJsonPath);
-                    
-                    // Convert Whisper format to standardized format
-                    const convertedTranscription = {
-                        text: transcription.text,
-                        segments: transcription.segments || [],
-                        language: transcription.language || 'unknown'
-                    };
-                    
-                    resolve(convertedTranscription);
-                } else {
-                    console.error(`❌ JSON output file not found`);
-                    resolve({
-                        text: '[Transcription file not found]',
-                        segments: [{
-                            start: 0,
-                            end: 10,
-                            text: '[Transcription file not found]'
-                        }],
-                        language: 'unknown'
-                    });
-                }
-            } catch (error) {
-                console.error(`❌ Error reading transcription JSON:`, error.message);
-                resolve({
-                    text: '[Error processing transcription]',
-                    segments: [{
-                        start: 0,
-                        end: 10,
-                        text: '[Error processing transcription]'
-                    }],
-                    language: 'unknown'
-                });
-            }
-        });
-        
-        whisperProcess.on('error', (error) => {
-            console.error(`❌ Failed to start whisper process:`, error.message);
-            resolve({
-                text: '[Failed to start Whisper]',
-                segments: [{
-                    start: 0,
-                    end: 10,
-                    text: '[Failed to start Whisper]'
-                }],
-                language: 'unknown'
-            });
-        });
-    });
-}
-
-/**
- * Transcribes audio using OpenAI Whisper API
- */
-async function transcribeWithOpenAI(audioPath) {
-    console.log(`🎤 Transcribing with OpenAI Whisper API...`);
+    console.log(`🎤 Using ${backend.name} for transcription`);
     
+    const vocabulary = getVocabulary(videoInfo.videoId);
+    let transcription;
     try {
-        const transcription = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(audioPath),
-            model: 'whisper-1',
-            response_format: 'verbose_json',
-            timestamp_granularities: ['segment']
-        });
-        
-        return {
-            text: transcription.text,
-            segments: transcription.segments || [],
-            language: transcription.language || 'unknown'
-        };
+        transcription = await transcribeLongAudio(backend, audioPath, {
+            language: config.forceLanguage,
+            prompt: buildInitialPrompt(vocabulary, config.forceLanguage)
+        }, audioAnalysis);
     } catch (error) {
-        console.error(`❌ OpenAI Whisper API error:`, error.message);
-        throw error;
+        throw new Error(`${backend.name} transcription failed: ${error.message}`);
     }
+    
+    return applyCorrections(transcription, vocabulary.corrections).transcription;
 }
 
 /**
@@ -346,47 +120,34 @@ function generateVttContent(transcription, audioAnalysis, videoInfo) {
     }
     vttContent += `NOTE Language: ${transcription.language}\n`;
     vttContent += `NOTE Generated by API.video VTT Generator\n`;
-    vttContent += `NOTE Music Detection: ${config.musicDetectionEnabled ? 'Enabled' : 'Disabled'}\n`;
+    vttContent += `NOTE Music Detection: ${config.musicDetectionEnabled ? 'Enabled (audio classification)' : 'Disabled'}\n`;
     vttContent += `NOTE Silence Threshold: ${config.silenceThreshold}\n\n`;
     
-    if (!transcription.segments || transcription.segments.length === 0) {
-        // Fallback for simple transcription
-        vttContent += `1\n`;
-        vttContent += `00:00:00.000 --> 00:00:10.000\n`;
-        vttContent += `${transcription.text || 'No transcription available'}\n\n`;
-        return vttContent;
+    // Re-segment into cues that respect the language's line length, duration and reading speed limits
+    const cues = buildCues(transcription.segments || [], { language: config.forceLanguage || transcription.language });
+    
+    // Music-only regions found by the audio classifier get their own cues
+    const allCues = addMusicCues(cues, audioAnalysis);
+    
+    if (allCues.length === 0) {
+        throw new Error('Transcription is empty, there are no captions to write');
     }
     
-    transcription.segments.forEach((segment, index) => {
-        const startTime = secondsToVttTimestamp(segment.start);
-        const endTime = secondsToVttTimestamp(segment.end);
-        let text = segment.text.trim();
+    allCues.forEach((cue, index) => {
+        const startTime = secondsToVttTimestamp(cue.start);
+        const endTime = secondsToVttTimestamp(cue.end);
+        let text = renderCueText(cue);
         
-        // Check if this segment overlaps with silence
+        // Check if this cue overlaps with silence
         const isInSilence = audioAnalysis.silenceSegments.some(silence => 
-            silence.start <= segment.start && silence.end >= segment.end
+            silence.start <= cue.start && silence.end >= cue.end
         );
         
-        // Check if this segment might be music (simplified heuristic)
-        const mightBeMusic = config.musicDetectionEnabled && (
-            text.match(/♪|♫|🎵|music|instrumental|♬/i) ||
-            text.length < 10 && !text.match(/\w{3,}/) // Very short non-word content
-        );
-        
-        // Add special markers for music and silence
-        if (mightBeMusic) {
-            text = `♪ ${text} ♪`;
-        }
-        
-        if (isInSilence && text.trim().length === 0) {
+        // Add special marker for silence
+        if (isInSilence && cue.text.length === 0) {
             text = '[Silence]';
         }
         
-        // Add warning for potentially music segments
-        if (mightBeMusic && config.musicDetectionEnabled) {
-            text += ' [Possible Music]';
-        }
-        
         vttContent += `${index + 1}\n`;
         vttContent += `${startTime} --> ${endTime}\n`;
         vttContent += `${text}\n\n`;
@@ -397,8 +158,9 @@ function generateVttContent(transcription, audioAnalysis, videoInfo) {
 
 /**
  * Generates VTT file for a single video
+ * options.backend selects the transcription backend for this video (defaults to the run's backend)
  */
-async function generateVttForVideo(videoPath) {
+async function generateVttForVideo(videoPath, options = {}) {
     const videoFilename = path.basename(videoPath);
     const videoInfo = parseVideoFilename(videoFilename);
     
@@ -410,7 +172,6 @@ async function generateVttForVideo(videoPath) {
         vttFilename = `${videoInfo.title}.vtt`;
     }
     
-    const audioPath = path.join(config.vttOutputFolder, `${videoInfo.title}_temp.wav`);
     const vttPath = path.join(config.vttOutputFolder, vttFilename);
     
     console.log(`\n🎬 Processing: ${videoInfo.title}`);
@@ -419,68 +180,68 @@ async function generateVttForVideo(videoPath) {
     }
     
     // Check if VTT already exists
-    if (fs.existsSync(vttPath)) {
+    if (fs.existsSync(vttPath) && !config.rerender) {
         console.log(`⏭️  VTT already exists: ${vttFilename}`);
         return vttPath;
     }
     
+    const videoName = path.basename(vttFilename, '.vtt');
+    let stage = 'audio extraction';
+    
+    // Audio, chunks and Whisper output live in the job's own scratch workspace
+    const workspace = createWorkspace(videoName);
+    const audioPath = workspace.path('audio.wav');
+    
     try {
         // Step 1: Extract audio
         await extractAudio(videoPath, audioPath);
         
         // Step 2: Analyze audio for silence and music
-        const audioAnalysis = await analyzeAudio(audioPath);
+        stage = 'audio analysis';
+        const audioAnalysis = await analyzeAudio(audioPath, {
+            silenceThreshold: config.silenceThreshold,
+            classify: config.musicDetectionEnabled
+        });
         
         // Step 3: Transcribe audio
-        let transcription;
-        const whisperInstalled = await checkWhisperInstalled();
+        stage = 'transcription';
+        const rawTranscription = await transcribeAudio(audioPath, videoInfo, options.backend, audioAnalysis);
         
-        if (whisperInstalled) {
-            console.log(`🎤 Using local Whisper for transcription`);
-            transcription = await transcribeWithLocalWhisper(audioPath, config.forceLanguage);
-        } else if (openai) {
-            console.log(`🎤 Local Whisper not found, using OpenAI API`);
-            transcription = await transcribeWithOpenAI(audioPath);
-        } else {
-            console.log(`❌ No transcription method available`);
-            transcription = {
-                text: "[No transcription available - install Whisper or set OpenAI API key]",
-                segments: [{
-                    start: 0,
-                    end: 10,
-                    text: "[No transcription available - install Whisper or set OpenAI API key]"
-                }],
-                language: 'unknown'
-            };
-        }
+        // Step 4: Drop hallucinated and repeated segments
+        const filterResult = filterTranscription(rawTranscription, audioAnalysis);
+        writeQaLog(videoName, rawTranscription.language, filterResult);
+        const transcription = filterResult.transcription;
         
-        // Step 4: Generate VTT content
+        // Step 5: Generate VTT content
+        stage = 'vtt generation';
         const vttContent = generateVttContent(transcription, audioAnalysis, videoInfo);
         
-        // Step 5: Save VTT file
+        // Step 6: Save VTT file
         fs.writeFileSync(vttPath, vttContent, 'utf8');
+        clearFailure(videoName);
         console.log(`✅ VTT generated: ${vttFilename} (language: ${transcription.language})`);
         if (videoInfo.hasVideoId) {
             console.log(`💡 Ready for translation or direct caption upload`);
         }
         
-        // Step 6: Cleanup temporary audio file
-        if (fs.existsSync(audioPath)) {
-            fs.unlinkSync(audioPath);
-            console.log(`🗑️  Cleaned up temporary audio file`);
-        }
-        
         return vttPath;
         
     } catch (error) {
         console.error(`❌ Error generating VTT for ${videoInfo.title}:`, error.message);
         
-        // Cleanup on error
-        if (fs.existsSync(audioPath)) {
-            fs.unlinkSync(audioPath);
-        }
+        // No VTT is written for a failed job; the failure is recorded for the quarantine report instead
+        recordFailure({
+            video: videoName,
+            videoId: videoInfo.videoId,
+            stage,
+            error,
+            source: videoFilename
+        });
         
         throw error;
+    } finally {
+        // Step 7: Remove the scratch workspace with the temporary audio
+        workspace.cleanup();
     }
 }
 
@@ -490,6 +251,10 @@ async function generateVttForVideo(videoPath) {
 async function generateVttForAllVideos() {
     ensureVttOutputDirectory();
     
+    if (!hasEnoughFreeDiskSpace(config.vttOutputFolder)) {
+        return;
+    }
+    
     const downloadsDir = config.outputFolder;
     
     if (!fs.existsSync(downloadsDir)) {
@@ -497,9 +262,7 @@ async function generateVttForAllVideos() {
         return;
     }
     
-    const videoFiles = fs.readdirSync(downloadsDir)
-        .filter(file => file.toLowerCase().endsWith('.mp4'))
-        .map(file => path.join(downloadsDir, file));
+    const videoFiles = findMediaFiles(downloadsDir);
     
     if (videoFiles.length === 0) {
         console.log(`📭 No video files found in ${downloadsDir}`);
@@ -532,6 +295,9 @@ async function generateVttForAllVideos() {
     console.log(`\n📊 VTT Generation Summary:`);
     console.log(`✅ Successful: ${successCount}`);
     console.log(`❌ Failed: ${failureCount}`);
+    if (failureCount > 0) {
+        console.log(`🚧 Failures are recorded in ${quarantineConfig.quarantineFolder} (node failureQuarantine.js report)`);
+    }
     console.log(`📁 VTT files location: ${config.vttOutputFolder}`);
     console.log(`\n💡 Next step: Use vttTranslator.js to create multi-language versions!`);
 }
@@ -549,19 +315,19 @@ async function main() {
         console.log(`🎵 Music detection: ${config.musicDetectionEnabled ? 'Enabled' : 'Disabled'}`);
         console.log(`🌐 Language mode: ${config.forceLanguage ? `Forced to ${config.forceLanguage}` : 'Auto-detect'}`);
         
-        // Check available transcription methods
-        const whisperInstalled = await checkWhisperInstalled();
-        console.log(`🎤 Local Whisper: ${whisperInstalled ? 'Available' : 'Not installed'}`);
-        console.log(`🔑 OpenAI API: ${openai ? 'Available' : 'Not configured'}`);
+        // Check available transcription backends
+        const availableBackends = await listBackends();
+        availableBackends.filter(backend => backend.name !== 'fake').forEach(backend => {
+            console.log(`🎤 ${backend.name}: ${backend.available ? 'Available' : 'Not available'}`);
+        });
         
-        if (!whisperInstalled && !openai) {
+        const backend = await resolveBackend();
+        if (!backend) {
             console.log(`\n⚠️  No transcription method available. Please:`);
             console.log(`   1. Install local Whisper: pip install openai-whisper`);
             console.log(`   2. OR set OpenAI API key in .env: OPENAI_API_KEY=your_key_here\n`);
-        } else if (whisperInstalled) {
-            console.log(`\n✅ Using local Whisper for transcription (recommended for privacy)`);
         } else {
-            console.log(`\n✅ Using OpenAI Whisper API for transcription`);
+            console.log(`\n✅ Using ${backend.name} for transcription (TRANSCRIPTION_BACKEND=${backendConfig.backend})`);
         }
         
         await generateVttForAllVideos();
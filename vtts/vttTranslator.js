@@ -2,6 +2,10 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { buildCues, renderCueText, secondsToVttTimestamp, vttTimestampToSeconds } = require('./cueBuilder.js');
+const { findPlaceholderMarkers } = require('../subtitle_placeholders.js');
+const { recordFailure, clearFailure } = require('./failureQuarantine.js');
+const { recordLanguageStage } = require('./jobState.js');
 
 // Configuration from environment variables
 const config = {
@@ -84,12 +88,13 @@ function parseVttFile(vttContent) {
             continue;
         }
         
-        // Accumulate text for current segment
+        // Accumulate text for current segment (inline karaoke timestamps are dropped, the translation has its own words)
         if (currentSegment && !inHeader) {
+            const cueLine = line.replace(/<\d{2}:\d{2}(:\d{2})?\.\d{3}>/g, '');
             if (currentSegment.text) {
-                currentSegment.text += ' ' + line;
+                currentSegment.text += ' ' + cueLine;
             } else {
-                currentSegment.text = line;
+                currentSegment.text = cueLine;
             }
         }
     }
@@ -107,7 +112,7 @@ function parseVttFile(vttContent) {
  */
 async function translateTextWithOpenRouter(text, targetLanguage, context = '') {
     if (!config.openrouterApiKey) {
-        return `[OpenRouter API key not configured for ${languageMapping[targetLanguage].name}]`;
+        throw new Error(`OpenRouter API key not configured, cannot translate to ${languageMapping[targetLanguage].name}`);
     }
     
     if (!text || text.trim().length === 0) {
@@ -129,7 +134,7 @@ Important guidelines:
 - Keep subtitle length appropriate for timing
 - Maintain any special markers like ♪ for music
 - Return ONLY the translated text, no explanations
-- If text contains [Silence] or [Possible Music], translate the descriptive parts
+- If text contains [Silence] or ♪ [Music] ♪, translate the descriptive parts
 
 ${context ? `Context: This is part of a video subtitle sequence.\n` : ''}Text to translate: "${text}"`
 
@@ -161,7 +166,7 @@ ${context ? `Context: This is part of a video subtitle sequence.\n` : ''}Text to
         
     } catch (error) {
         console.error(`❌ OpenRouter translation error for ${languageMapping[targetLanguage].name}:`, error.response?.data || error.message);
-        return `[Translation failed: ${text}]`;
+        throw new Error(`OpenRouter translation failed: ${error.message}`);
     }
 }
 
@@ -238,11 +243,17 @@ function generateTranslatedVttContent(segments, metadata, targetLanguage, origin
     vttContent += `NOTE Translation: OpenRouter (${config.openrouterModel})\n`;
     vttContent += `NOTE Generated by API.video VTT Translator\n\n`;
     
-    // Add segments
-    segments.forEach((segment, index) => {
+    // Re-segment the translated text with the target language's readability limits
+    const cues = buildCues(segments.map(segment => ({
+        start: vttTimestampToSeconds(segment.start),
+        end: vttTimestampToSeconds(segment.end),
+        text: segment.text
+    })), { language: targetLanguage });
+    
+    cues.forEach((cue, index) => {
         vttContent += `${index + 1}\n`;
-        vttContent += `${segment.start} --> ${segment.end}\n`;
-        vttContent += `${segment.text}\n\n`;
+        vttContent += `${secondsToVttTimestamp(cue.start)} --> ${secondsToVttTimestamp(cue.end)}\n`;
+        vttContent += `${renderCueText(cue)}\n\n`;
     });
     
     return vttContent;
@@ -261,6 +272,20 @@ async function translateVttFile(vttPath) {
     const vttContent = fs.readFileSync(vttPath, 'utf8');
     const { segments, metadata } = parseVttFile(vttContent);
     
+    // Placeholder error text from an older run is not a caption and must not be translated
+    const placeholderMarkers = findPlaceholderMarkers(vttContent);
+    if (placeholderMarkers.length > 0) {
+        console.error(`   🚫 Not translating ${filename}: contains placeholder text (${placeholderMarkers.join(', ')})`);
+        recordFailure({
+            video: filenameWithoutExt,
+            videoId: metadata['Video ID'] || null,
+            stage: 'placeholder',
+            error: `Source VTT contains placeholder text: ${placeholderMarkers.join(', ')}`,
+            source: filename
+        });
+        return [];
+    }
+    
     console.log(`   📊 Found ${segments.length} segments`);
     if (metadata.Language) {
         console.log(`   🌐 Original language: ${metadata.Language}`);
@@ -326,13 +351,29 @@ async function translateVttFile(vttPath) {
             );
             
             // Save translated VTT file
+            const jobDetails = { videoId: metadata['Video ID'] || null, source: filename };
+            const sourceCodeMatch = (metadata.Language || '').match(/\(([a-z]{2,3})\)/);
+            const route = { method: 'text-translation', source: sourceCodeMatch ? sourceCodeMatch[1] : null, engine: `OpenRouter ${config.openrouterModel}` };
+            recordLanguageStage(filenameWithoutExt, targetLanguage, 'translated', { route }, jobDetails);
             fs.writeFileSync(outputPath, translatedVttContent, 'utf8');
+            recordLanguageStage(filenameWithoutExt, targetLanguage, 'written', { vttPath: outputPath }, jobDetails);
+            clearFailure(filenameWithoutExt, targetLanguage);
             console.log(`   ✅ Saved: ${outputFilename}`);
             
             return outputPath;
             
         } catch (error) {
             console.error(`   ❌ Failed to translate to ${languageMapping[targetLanguage].name}:`, error.message);
+            
+            // No VTT is written for a failed translation; the failure is recorded for the quarantine report instead
+            recordFailure({
+                video: filenameWithoutExt,
+                videoId: metadata['Video ID'] || null,
+                language: targetLanguage,
+                stage: 'translation',
+                error,
+                source: filename
+            });
             return null;
         }
     };